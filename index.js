@@ -5,66 +5,239 @@ const SDK = require('gridplus-sdk');
 const EthTx = require('@ethereumjs/tx');
 const { addHexPrefix } = require("@ethereumjs/util");
 const rlp = require('rlp');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const errors = require('./lib/errors');
+const {
+  LatticeKeyringError,
+  WrongActiveWalletError,
+  SignerNotFoundError,
+  NotPairedError,
+  DeviceLockedError,
+  InvalidResponseError,
+  InvalidArgumentError,
+  InvalidStateError,
+  PolicyViolationError,
+  toKeyringError,
+} = errors;
+const {
+  hashPersonalMessage,
+  hashTypedData,
+  hashTransaction,
+  vToRecoveryParam,
+  verifySigner,
+  getRecoveryParam,
+  verifyEd25519,
+  toBigInt,
+} = require('./lib/signatures');
+const {
+  ConnectorCredentialProvider,
+  PairingCredentialProvider,
+} = require('./lib/credentials');
+const { OperationQueue } = require('./lib/queue');
+const {
+  SERIALIZATION_VERSION,
+  migrateState,
+  validateState,
+} = require('./lib/serialization');
+const { StateEncryptor } = require('./lib/encryption');
+const { DecoderRegistry } = require('./lib/decoders');
+const {
+  getCapabilities,
+  hasCapability,
+  requireCapability,
+  fwVersionStr,
+} = require('./lib/capabilities');
+const { JsonRpcBalanceProvider, toBalanceProvider } = require('./lib/balances');
+const { getUserOperationHash } = require('./lib/userop');
+const { toRetryPolicy, withRetry } = require('./lib/retry');
+const { AccountStore } = require('./lib/accounts');
+const { throwIfAborted, raceAbort } = require('./lib/abort');
+const { PolicyEngine } = require('./lib/policy');
+const { AuditLog, MemoryAuditStorage } = require('./lib/audit');
+const {
+  HARDENED_OFFSET,
+  HD_PATH_PRESETS,
+  resolveHdPath,
+  getHdPathIndices,
+  getSignerPathIndices,
+  formatHdPath,
+  hdPathHasInternalVarIdx,
+  getHdPathPresets,
+} = require('./lib/hdpath');
 const keyringType = 'Lattice Hardware';
-const HARDENED_OFFSET = 0x80000000;
 const PER_PAGE = 5;
 const CLOSE_CODE = -1000;
-const STANDARD_HD_PATH = `m/44'/60'/0'/0/x`;
-const SDK_TIMEOUT = 120000;
-const CONNECT_TIMEOUT = 20000;
+const STANDARD_HD_PATH = HD_PATH_PRESETS.bip44.hdPath;
+const DISCOVERY_GAP_LIMIT = 5;
+// Failures to fetch a page of accounts which resyncing cannot fix
+const FINAL_PAGE_ERRORS = [ 'USER_REJECTED', 'DEVICE_TIMEOUT', 'RELAY_ERROR', 'RELAY_UNREACHABLE', 'CONNECTOR_CLOSED' ];
+const DISCOVERY_MAX_INDEX = 100;
+// Default timeouts (ms) of requests to the Lattice
+const DEFAULT_TIMEOUTS = {
+  // Connecting uses a shorter timeout so that we fail fast if the device
+  // is offline.
+  connect: 20000,
+  // Fetching addresses and other data
+  fetch: 120000,
+  // Signing requests, which wait for the user to approve them
+  sign: 120000,
+};
+const SDK_STATE_MAX_AGE = 86400000; // 1 day
+const EIP7702_AUTH_MAGIC = 0x05;
+// Options supported by `signRaw`, by name
+const RAW_SIGNING_CURVES = [ 'SECP256K1', 'ED25519' ];
+const RAW_SIGNING_HASHES = [ 'NONE', 'KECCAK256', 'SHA256' ];
+const RAW_SIGNING_ENCODINGS = [ 'NONE', 'SOLANA', 'EVM' ];
+// Address tags are stored on the Lattice as key-value records of this type
+const ADDRESS_TAG_TYPE = 0;
+const ADDRESS_TAG_MAX_LEN = 63;
+const KV_PAGE_SIZE = 10;
+const KV_REMOVE_MAX = 100;
+const KV_RECORD_EXISTS = 141;
 
 class LatticeKeyring extends EventEmitter {
   constructor (opts={}) {
     super()
     this.type = keyringType;
+    // Optional factory used to build the SDK client, i.e.
+    // `(setupData) => client`. Defaults to a new `SDK.Client`, but may be
+    // replaced, e.g. with `SimulatedLattice.createClient` for offline use.
+    this.clientFactory = opts.clientFactory || null;
+    // Provider of Lattice credentials (see `lib/credentials`). Defaults to
+    // the browser-based Lattice connector.
+    this.credentialProvider = opts.credentialProvider || new ConnectorCredentialProvider();
+    // Optional provider of account balances and nonces for paginated
+    // listings (see `lib/balances`). May be a JSON-RPC URL, an EIP1193
+    // provider, or any object implementing `getBalances(addresses)`.
+    this.balanceProvider = toBalanceProvider(opts.balanceProvider);
+    // Whether to push account labels to the Lattice as address tags
+    // whenever they are set.
+    this.syncAddressTags = opts.syncAddressTags === true;
+    // Resolves calldata decoders for transaction requests (see
+    // `lib/decoders`). May be given as a `DecoderRegistry` or its options,
+    // e.g. `{ allowRemote: false }` to never fetch ABIs over the network.
+    this.decoderRegistry = opts.decoderRegistry instanceof DecoderRegistry ?
+                           opts.decoderRegistry :
+                           new DecoderRegistry(opts.decoderRegistry);
+    // Rules which transactions and messages are checked against before
+    // being sent to the Lattice (see `lib/policy`). May be given as a
+    // `PolicyEngine` or its options.
+    this.policy = opts.policy instanceof PolicyEngine ?
+                  opts.policy :
+                  new PolicyEngine(opts.policy);
+    // Optional log of signing requests and their outcomes (see
+    // `lib/audit`). May be given as an `AuditLog`, its options, or `true`
+    // to keep entries in memory.
+    this.auditLog = null;
+    if (opts.auditLog instanceof AuditLog) {
+      this.auditLog = opts.auditLog;
+    } else if (opts.auditLog) {
+      this.auditLog = new AuditLog(opts.auditLog === true ? {} : opts.auditLog);
+    }
+    // Max age (ms) of persisted SDK session state before it is discarded
+    // and a full connection is required. `null` disables expiry.
+    this.sdkStateMaxAge = opts.sdkStateMaxAge !== undefined ?
+                          opts.sdkStateMaxAge :
+                          SDK_STATE_MAX_AGE;
+    // Whether to include derived addresses cached for each wallet and HD
+    // path in `serialize()`.
+    this.persistAddressCache = opts.persistAddressCache === true;
+    // Whether to drop inconsistent accounts from serialized state (and
+    // record what was dropped in `deserializeReport`) rather than throwing
+    // an `InvalidStateError`. Dropped accounts are lost on the next
+    // `serialize()`, so this is opt-in.
+    this.repairState = opts.repairState === true;
+    this.deserializeReport = null;
+    // Optional passphrase or 32 byte key used to encrypt credentials and
+    // SDK session state in `serialize()`. Only needed outside of an
+    // encrypted vault (e.g. MetaMask's).
+    this._encryptor = opts.encryptionKey ? new StateEncryptor(opts.encryptionKey) : null;
+    // Timeouts (ms) of requests to the Lattice, by kind of request:
+    // `{ connect, fetch, sign }`. Any omitted use the defaults.
+    this.timeouts = getTimeouts(opts.timeouts);
+    // Policy for retrying requests which fail with transient errors, such
+    // as timeouts and relay server errors (see `lib/retry`). `false`
+    // disables retries.
+    this.retryPolicy = toRetryPolicy(opts.retry);
+    // Device operations are run one at a time through this queue
+    this._queue = new OperationQueue();
+    this._pendingUnlock = null;
+    // `AbortSignal` of the operation currently running, if any
+    this._signal = null;
+    // Request left running on the Lattice by a cancelled operation, if any
+    this._abandonedRequest = null;
     this._resetDefaults();
-    this.deserialize(opts);
+    this._deserialize(opts);
   }
 
   //-------------------------------------------------------------------
   // Keyring API (per `https://github.com/MetaMask/eth-simple-keyring`)
   //-------------------------------------------------------------------
-  async deserialize (opts = {}) {
-    if (opts.hdPath)
-      this.hdPath = opts.hdPath;
-    if (opts.creds)
-      this.creds = opts.creds;
-    if (opts.accounts)
-      this.accounts = opts.accounts;
-    if (opts.accountIndices)
-      this.accountIndices = opts.accountIndices;
-    if (opts.accountOpts)
-      this.accountOpts = opts.accountOpts;
-    if (opts.walletUID)
-      this.walletUID = opts.walletUID;
-    if (opts.name)  // Legacy; use is deprecated and appName is more descriptive
-      this.appName = opts.name;
-    if (opts.appName)
-      this.appName = opts.appName;
-    if (opts.network)
-      this.network = opts.network;
-    if (opts.page)
-      this.page = opts.page;
-    return;
+  // If the state was serialized with encryption, pass `encryptionKey` to
+  // decrypt it (and to use for future serialization). Otherwise, encrypted
+  // state is kept as-is and decrypted on `unlock` with the keyring's key.
+  async deserialize (opts = {}, { encryptionKey }={}) {
+    if (encryptionKey) {
+      this._encryptor = new StateEncryptor(encryptionKey);
+    }
+    const report = this._deserialize(opts);
+    if (this._encryptor) {
+      await this._decryptState();
+    }
+    return report;
   }
 
+  // Set the HD path template used for new accounts. Accepts a template
+  // (e.g. `m/44'/60'/0'/0/x`, where `x` marks the account index and `'` or
+  // `h` marks hardened indices) or the name of a preset.
   setHdPath(hdPath) {
-    this.hdPath = hdPath;
+    this.hdPath = resolveHdPath(hdPath);
+  }
+
+  // Get the named HD path presets, i.e. `[{ name, label, hdPath }]`
+  getHdPathPresets() {
+    return getHdPathPresets();
   }
 
   async serialize() {
-    return {
+    if (this._encryptor) {
+      await this._decryptState();
+    }
+    const serialized = {
+      version: SERIALIZATION_VERSION,
       creds: this.creds,
-      accounts: this.accounts,
-      accountIndices: this.accountIndices,
-      accountOpts: this.accountOpts,
+      accounts: this.accountStore.toJSON(),
       walletUID: this.walletUID,
       appName: this.appName,
-      name: this.name,  // Legacy; use is deprecated
       network: this.network,
       page: this.page,
       hdPath: this.hdPath,
+      sdkState: this._getSdkState(),
+      sdkStateTimestamp: this.sdkStateTimestamp,
     };
+    if (this.persistAddressCache) {
+      serialized.addressCache = this.addressCache;
+    }
+    if (this._encryptor || this._encryptedState) {
+      // Secrets are only included in encrypted form. State we could not
+      // decrypt yet is passed through unchanged.
+      serialized.encrypted = this._encryptedState ||
+                             await this._encryptor.encrypt({
+                               creds: serialized.creds,
+                               sdkState: serialized.sdkState,
+                             });
+      delete serialized.creds;
+      delete serialized.sdkState;
+    }
+    return serialized;
+  }
+
+  // Change the key used to encrypt serialized state, or pass `null` to stop
+  // encrypting it. Resolves to the state serialized with the new key.
+  async rotateEncryptionKey(encryptionKey) {
+    await this._decryptState();
+    this._encryptor = encryptionKey ? new StateEncryptor(encryptionKey) : null;
+    return this.serialize();
   }
 
   // Deterimine if we have a connection to the Lattice and an existing wallet UID
@@ -73,6 +246,44 @@ class LatticeKeyring extends EventEmitter {
     return !!this._getCurrentWalletUID() && !!this.sdkSession;
   }
 
+  // Get the features supported by the connected Lattice's firmware, i.e.
+  // `{ fwVersion, features: { [feature]: { supported, minFwVersion, description } } }`
+  // (see `lib/capabilities`), or `null` if we have not connected yet.
+  getCapabilities () {
+    const fwVersion = this.sdkSession ? this.sdkSession.getFwVersion() : null;
+    if (!fwVersion || fwVersion.major === undefined) {
+      return null;
+    }
+    return {
+      fwVersion: fwVersionStr(fwVersion),
+      features: getCapabilities(fwVersion),
+    };
+  }
+
+  // Get the wallet which was active on the Lattice as of the last sync, i.e.
+  // `{ uid, name, external }`, or `null` if there is none.
+  getActiveWallet () {
+    if (!this.sdkSession) {
+      return null;
+    }
+    return formatWallet(this.sdkSession.getActiveWallet());
+  }
+
+  // Get the wallets available on the Lattice as of the last sync. A
+  // SafeCard wallet (`external`) is only included if one is inserted and
+  // unlocked.
+  getWallets () {
+    if (!this.sdkSession || !this.sdkSession.activeWallets) {
+      return [];
+    }
+    const { internal, external } = this.sdkSession.activeWallets;
+    const activeUID = this._getCurrentWalletUID();
+    return [ internal, external ]
+      .map(formatWallet)
+      .filter((wallet) => wallet !== null)
+      .map((wallet) => Object.assign(wallet, { active: wallet.uid === activeUID }));
+  }
+
   // Initialize a session with the Lattice1 device using the GridPlus SDK
   // NOTE: `bypassOnStateData=true` allows us to rehydrate a new SDK session without
   // reconnecting to the target Lattice. This is only currently used for signing
@@ -80,10 +291,388 @@ class LatticeKeyring extends EventEmitter {
   // We avoid passing `bypassOnStateData=true` for other calls on `unlock` to avoid
   // possible edge cases related to this new functionality (it's probably fine - just
   // being cautious). In the future we may remove `bypassOnStateData` entirely.
-  async unlock (bypassOnStateData = false) {
+  async unlock (bypassOnStateData = false, { signal }={}) {
+    if (this.isUnlocked()) {
+      return "Unlocked";
+    }
+    // Callers with their own `AbortSignal` queue a separate request (which
+    // returns early if an earlier one unlocked the keyring), so that
+    // cancelling it does not affect other callers.
+    if (signal) {
+      return this._enqueue('unlock', () => this._unlock(bypassOnStateData), signal);
+    }
+    // Concurrent callers share a single in-flight unlock request
+    if (!this._pendingUnlock) {
+      this._pendingUnlock = this._enqueue('unlock', () => this._unlock(bypassOnStateData))
+      .finally(() => {
+        this._pendingUnlock = null;
+      });
+    }
+    return this._pendingUnlock;
+  }
+
+  // Add addresses to the local store and return only the addresses that were actually added
+  async addAccounts(n=1, { signal }={}) {
+    return this._enqueue('addAccounts', () => this._addAccounts(n), signal);
+  }
+
+  // Scan one or more HD paths for accounts which have been used. `paths`
+  // may contain path templates (with `x` marking the account index) or the
+  // names of presets (see `lib/hdpath`); all presets are scanned by
+  // default. Each path is scanned until `gapLimit` consecutive addresses are
+  // reported unused by `isUsed(address, { hdPath, index })`, which may be
+  // async. If no `isUsed` is given, addresses with a non-zero balance or
+  // nonce according to the balance provider are considered used. Resolves
+  // to `{ walletUID, paths: { [hdPath]: [{ address, index }] } }`, which may
+  // be passed to `addDiscoveredAccounts`.
+  async discoverAccounts(opts={}) {
+    return this._enqueue('discoverAccounts', () => this._discoverAccounts(opts), opts.signal);
+  }
+
+  // Add accounts found by `discoverAccounts`. Returns the addresses which
+  // were actually added. Different templates can resolve to the same
+  // derivation path (e.g. index 0 of BIP44 and Ledger Live), so addresses
+  // already saved for this wallet are skipped.
+  addDiscoveredAccounts(discovered) {
+    const newlyAdded = [];
+    const isSaved = (address) => {
+      return this.accountStore.resolve(address, { walletUID: discovered.walletUID }) !== null;
+    };
+    Object.keys(discovered.paths).forEach((hdPath) => {
+      discovered.paths[hdPath].forEach(({ address, index }) => {
+        if (isSaved(address)) {
+          return;
+        }
+        if (this._saveAccount(address, index, discovered.walletUID, hdPath)) {
+          newlyAdded.push(address);
+        }
+      });
+    });
+    return newlyAdded;
+  }
+
+  // Return the local store of addresses. This gets called when the extension unlocks.
+  async getAccounts() {
+    return this.accountStore.getAddresses();
+  }
+
+  async signTransaction (address, tx, { signal }={}) {
+    const request = getTxRequestInfo(address, tx);
+    return this._enqueue('signTransaction', () => {
+      return this._audited('signTransaction', [ request ], async () => {
+        await this._checkPolicy(request);
+        // Setup info related to signer account
+        const account = await this._findSigner(address);
+        this._checkTxSupport(tx);
+        return this._signTransaction(address, account, tx);
+      });
+    }, signal);
+  }
+
+  // Sign several transactions from the same signer. Signer and firmware
+  // checks run once up front, then the requests are sent to the Lattice one
+  // at a time. See `_signBatch` for the result format.
+  async signTransactions (address, txs, { signal }={}) {
+    if (!Array.isArray(txs)) {
+      throw new InvalidArgumentError('`txs` must be an array of transactions.');
+    }
+    const requests = txs.map((tx) => getTxRequestInfo(address, tx));
+    return this._enqueue('signTransactions', () => {
+      return this._audited('signTransactions', requests, async () => {
+        for (const request of requests) {
+          await this._checkPolicy(request);
+        }
+        const account = await this._findSigner(address);
+        txs.forEach((tx) => this._checkTxSupport(tx));
+        return this._signBatch('transaction', txs, (tx) => {
+          return this._signTransaction(address, account, tx);
+        });
+      }, true);
+    }, signal);
+  }
+
+  // Sign several messages (see `signMessage` for the format of each) from
+  // the same signer. See `_signBatch` for the result format.
+  async signMessages (address, msgs, { signal }={}) {
+    if (!Array.isArray(msgs)) {
+      throw new InvalidArgumentError('`msgs` must be an array of messages.');
+    }
+    const requests = msgs.map((msg) => getMsgRequestInfo(address, msg));
+    return this._enqueue('signMessages', () => {
+      return this._audited('signMessages', requests, async () => {
+        for (const request of requests) {
+          await this._checkPolicy(request);
+        }
+        const account = await this._findSigner(address);
+        return this._signBatch('message', msgs, (msg) => {
+          return this._signMessage(address, account, msg);
+        });
+      }, true);
+    }, signal);
+  }
+
+  // Sign an EIP7702 authorization, which delegates the signer's account to
+  // the code at `authorization.address`. Returns a signed authorization
+  // tuple which may be included in a type-4 transaction's `authorizationList`.
+  async signAuthorization (address, authorization, { signal }={}) {
+    return this._enqueue('signAuthorization', () => {
+      return this._signAuthorization(address, authorization);
+    }, signal);
+  }
+
+  // Sign an arbitrary payload using the Lattice's generic signing pathway.
+  // The signer is either one of the keyring's accounts (`address`) or a
+  // derivation path (`signerPath`) in the active wallet. `curve`, `hash` and
+  // `encoding` are names such as `secp256k1`, `keccak256` and `none`; see
+  // the README for defaults. Resolves to
+  // `{ curve, hash, encoding, signerPath, pubkey, sig, signature }`.
+  async signRaw (opts={}) {
+    return this._enqueue('signRaw', () => this._signRaw(opts), opts.signal);
+  }
+
+  async signPersonalMessage(address, msg, opts={}) {
+    return this._signMessageAs('signPersonalMessage', address, { payload: msg, protocol: 'signPersonal' }, opts.signal);
+  }
+
+  async signTypedData(address, msg, opts={}) {
+    if (opts.version && (opts.version !== 'V4' && opts.version !== 'V3')) {
+      throw new InvalidArgumentError(
+        `Only signTypedData V3 and V4 messages (EIP712) are supported. Got version ${opts.version}`
+      );
+    }
+    return this._signMessageAs('signTypedData', address, { payload: msg, protocol: 'eip712' }, opts.signal)
+  }
+
+  async signMessage (address, msg, { signal }={}) {
+    return this._signMessageAs('signMessage', address, msg, signal);
+  }
+
+  async exportAccount(address) {
+    throw new LatticeKeyringError(
+      'exportAccount not supported by this device',
+      { code: 'UNSUPPORTED_OPERATION' }
+    );
+  }
+
+  // Remove the accounts saved for `address`. The same address may be saved
+  // for several wallets and HD paths; pass any of `walletUID`, `hdPath` and
+  // `index` to only remove some of them.
+  removeAccount(address, { walletUID, hdPath, index }={}) {
+    this.accountStore.remove({ address, walletUID, hdPath, index });
+  }
+
+  // Get the saved accounts as `[{ address, walletUID, hdPath, index, label }]`,
+  // optionally only those matching any of `address`, `walletUID`, `hdPath`
+  // and `index`
+  listAccounts(filter={}) {
+    return this.accountStore.list(filter);
+  }
+
+  // Remove all accounts of a wallet. Returns the removed accounts.
+  removeWalletAccounts(walletUID) {
+    if (!walletUID || typeof walletUID !== 'string') {
+      throw new InvalidArgumentError('`walletUID` must be a hex string.');
+    }
+    return this.accountStore.remove({ walletUID });
+  }
+
+  // Set (or clear, with a `null` label) the label of one of the keyring's
+  // accounts. Pass any of `walletUID`, `hdPath` and `index` to only label
+  // some of the accounts saved for `address`. With `syncAddressTags` set,
+  // the label is also pushed to the Lattice as an address tag.
+  async setAccountLabel(address, label, { walletUID, hdPath, index, signal }={}) {
+    const updated = this.accountStore.setLabel({ address, walletUID, hdPath, index }, label);
+    if (updated === 0) {
+      throw new SignerNotFoundError(address);
+    }
+    if (this.syncAddressTags) {
+      // Address tags are per address, so keep the tag if another account
+      // for this address still has a label
+      const tag = label || getAccountLabel(this.accountStore.list({ address }));
+      if (tag) {
+        await this.setAddressTags({ [address]: tag }, { overwrite: true, signal });
+      } else {
+        await this.removeAddressTags([ address ], { signal });
+      }
+    }
+  }
+
+  // Get the labels of the keyring's accounts as `{ [address]: label }`. If
+  // several accounts for an address are labelled, the first one added wins.
+  getAccountLabels() {
+    const labels = {};
+    this.accountStore.getAddresses().forEach((address) => {
+      const label = getAccountLabel(this.accountStore.list({ address }));
+      if (label) {
+        labels[address] = label;
+      }
+    });
+    return labels;
+  }
+
+  // Push all account labels to the Lattice as address tags, replacing any
+  // existing tags for those addresses.
+  async syncAccountLabels({ signal }={}) {
+    const labels = this.getAccountLabels();
+    if (Object.keys(labels).length === 0) {
+      return { added: [], updated: [], unchanged: [], conflicts: [] };
+    }
+    return this.setAddressTags(labels, { overwrite: true, signal });
+  }
+
+  // Get the address tags saved on the Lattice, i.e. the names it displays
+  // in place of known addresses, as `{ [address]: label }`. Tags are stored
+  // on the device rather than per wallet.
+  async getAddressTags({ signal }={}) {
+    return this._enqueue('getAddressTags', async () => {
+      const records = await this._getAddressTagRecords();
+      const tags = {};
+      records.forEach((record) => {
+        tags[record.key] = record.val;
+      });
+      return tags;
+    }, signal);
+  }
+
+  // Save address tags (`{ [address]: label }`) to the Lattice. Addresses
+  // which already have a different tag are reported as conflicts and left
+  // as-is, unless `overwrite` is set. Resolves to
+  // `{ added, updated, unchanged, conflicts }`, where each conflict is
+  // `{ address, existing, requested }`.
+  async setAddressTags(tags, { overwrite=false, signal }={}) {
+    return this._enqueue('setAddressTags', () => this._setAddressTags(tags, overwrite), signal);
+  }
+
+  // Remove the tags of `addresses` from the Lattice. Resolves to the
+  // addresses whose tags were removed.
+  async removeAddressTags(addresses, { signal }={}) {
+    return this._enqueue('removeAddressTags', () => this._removeAddressTags(addresses), signal);
+  }
+
+  async getFirstPage({ signal }={}) {
+    return this._enqueue('getPage', () => {
+      this.page = 0;
+      return this._getPage(0);
+    }, signal);
+  }
+
+  async getNextPage ({ signal }={}) {
+    return this._enqueue('getPage', () => this._getPage(1), signal);
+  }
+
+  async getPreviousPage ({ signal }={}) {
+    return this._enqueue('getPage', () => this._getPage(-1), signal);
+  }
+
+  // Get the device operation currently in progress, if any, as
+  // `{ name, queuedAt, startedAt }`. Operations waiting behind it are
+  // listed in `queued`.
+  getPendingOperation () {
+    const active = this._queue.getActive();
+    if (!active) {
+      return null;
+    }
+    return Object.assign(active, { queued: this._queue.getWaiting() });
+  }
+
+  setAccountToUnlock (index) {
+    this.unlockedAccount = parseInt(index, 10)
+  }
+
+  forgetDevice () {
+    const wasConnected = this._isConnected;
+    this._resetDefaults();
+    if (wasConnected) {
+      this.emit('disconnected', { reason: 'forgotten' });
+    }
+  }
+
+  //-------------------------------------------------------------------
+  // Internal methods and interface to SDK
+  //-------------------------------------------------------------------
+  // Load serialized state, migrating it from older versions and checking
+  // it for consistency first. Returns the validation report.
+  _deserialize (opts = {}) {
+    const { state, migrated } = migrateState(opts);
+    const report = validateState(state, { repair: this.repairState });
+    report.migrated = migrated;
+    if (!report.valid) {
+      throw new InvalidStateError(report);
+    }
+    if (state.hdPath)
+      this.hdPath = state.hdPath;
+    if (state.creds)
+      this.creds = state.creds;
+    if (state.accounts)
+      this.accountStore = new AccountStore(state.accounts);
+    if (state.walletUID)
+      this.walletUID = state.walletUID;
+    if (state.appName)
+      this.appName = state.appName;
+    if (state.network)
+      this.network = state.network;
+    if (state.page)
+      this.page = state.page;
+    if (state.sdkState)
+      this.sdkState = state.sdkState;
+    if (state.sdkStateTimestamp)
+      this.sdkStateTimestamp = state.sdkStateTimestamp;
+    if (state.addressCache)
+      this.addressCache = state.addressCache;
+    if (state.encrypted)
+      this._encryptedState = state.encrypted;
+    this.deserializeReport = report;
+    return report;
+  }
+
+  // Decrypt credentials and SDK state loaded in encrypted form, if any
+  async _decryptState() {
+    if (!this._encryptedState) {
+      return;
+    }
+    if (!this._encryptor) {
+      throw new LatticeKeyringError(
+        'Keyring state is encrypted. An encryption key is required.',
+        { code: 'ENCRYPTION_KEY_REQUIRED' }
+      );
+    }
+    const { creds, sdkState } = await this._encryptor.decrypt(this._encryptedState);
+    this._encryptedState = null;
+    if (creds)
+      this.creds = creds;
+    if (sdkState)
+      this.sdkState = sdkState;
+  }
+
+  // Run a device operation once all previously requested ones are done.
+  // Any failure is surfaced as a `LatticeKeyringError` (see `lib/errors`).
+  // If `signal` aborts, the operation is rejected with a
+  // `RequestCancelledError` and any device requests it makes are abandoned.
+  _enqueue (name, fn, signal) {
+    return this._queue.run(name, async () => {
+      this._signal = signal || null;
+      try {
+        return await fn();
+      } finally {
+        this._signal = null;
+        // A cancelled operation may have abandoned a request which is still
+        // running on the Lattice. Keep its slot until the request settles, so
+        // the next operation doesn't reach the Lattice while it is busy.
+        if (this._abandonedRequest) {
+          await this._abandonedRequest;
+        }
+      }
+    }, { signal }).catch((err) => {
+      throw toKeyringError(err);
+    });
+  }
+
+  // See `unlock`
+  async _unlock (bypassOnStateData = false) {
     if (this.isUnlocked()) {
       return "Unlocked";
     }
+    await this._decryptState();
     const creds = await this._getCreds();
     if (creds) {
       this.creds.deviceID = creds.deviceID;
@@ -96,107 +685,586 @@ class LatticeKeyring extends EventEmitter {
     if (includedStateData && bypassOnStateData) {
       return "Unlocked";
     }
-    await this._connect();
+    const isPaired = await this._connect();
+    if (!isPaired && await this._pair()) {
+      // The client fetches the active wallet once paired, so track it as
+      // we would after connecting
+      this.sdkStateTimestamp = Date.now();
+      this._syncActiveWallet(true);
+    }
     return "Unlocked";
   }
 
-  // Add addresses to the local store and return only the addresses that were actually added
-  async addAccounts(n=1) {
+  async _addAccounts(n=1) {
     if (n <= 0) {
       // Avoid non-positive numbers.
-      throw new Error(
+      throw new InvalidArgumentError(
         'Number of accounts to add must be a positive number.'
       );
     }
     // Normal behavior: establish the connection and fetch addresses.
-    await this.unlock()
+    await this._unlock()
     const addrs = await this._fetchAddresses(n, this.unlockedAccount);
     const walletUID = this._getCurrentWalletUID();
     if (!walletUID) {
       // We should not add accounts that do not have wallet UIDs.
       // Something went wrong and needs to be retried.
       await this._connect();
-      throw new Error('No active wallet found in Lattice. Please retry.');
+      throw new DeviceLockedError('No active wallet found in Lattice. Please retry.');
+    }
+    // Add these indices
+    const newlyAdded = [];
+    addrs.forEach((addr, i) => {
+      if (this._saveAccount(addr, this.unlockedAccount+i, walletUID, this.hdPath)) {
+        newlyAdded.push(addr); // Track what was actually added
+      }
+    });
+    return newlyAdded; // Return only the addresses that were actually added
+  }
+
+  // Add an account to the local store unless it is already saved.
+  // Returns `true` if the account was added.
+  _saveAccount(addr, addrIdx, walletUID, hdPath) {
+    return this.accountStore.add({ address: addr, walletUID, hdPath, index: addrIdx });
+  }
+
+  async _discoverAccounts({ paths, gapLimit=DISCOVERY_GAP_LIMIT, maxIndex=DISCOVERY_MAX_INDEX, isUsed }={}) {
+    if (typeof isUsed !== 'function' && this.balanceProvider) {
+      isUsed = (address) => this._hasActivity(address);
+    }
+    if (typeof isUsed !== 'function') {
+      throw new InvalidArgumentError(
+        '`isUsed` callback or a balance provider is required to discover accounts.'
+      );
+    }
+    Object.entries({ gapLimit, maxIndex }).forEach(([ name, value ]) => {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new InvalidArgumentError(`\`${name}\` must be a positive integer.`);
+      }
+    });
+    if (!paths || paths.length === 0) {
+      paths = Object.keys(HD_PATH_PRESETS);
+    }
+    // Presets may share a template (e.g. BIP44 and Trezor), so only scan
+    // each one once.
+    const hdPaths = paths.map(resolveHdPath).filter((hdPath, i, all) => all.indexOf(hdPath) === i);
+    await this._unlock();
+    const walletUID = this._getCurrentWalletUID();
+    const discovered = { walletUID, paths: {} };
+    for (const hdPath of hdPaths) {
+      const used = [];
+      let index = 0;
+      let unusedCount = 0;
+      while (unusedCount < gapLimit && index < maxIndex) {
+        // Only fetch as many addresses as could be needed to hit the gap limit
+        const n = Math.min(PER_PAGE, gapLimit - unusedCount, maxIndex - index);
+        const addrs = await this._fetchAddresses(n, index, hdPath);
+        for (const address of addrs) {
+          if (await isUsed(address, { hdPath, index })) {
+            used.push({ address, index });
+            unusedCount = 0;
+          } else {
+            unusedCount += 1;
+          }
+          index += 1;
+        }
+      }
+      discovered.paths[hdPath] = used;
+    }
+    return discovered;
+  }
+
+  async _signAuthorization (address, authorization) {
+    const { chainId, nonce } = authorization;
+    const contract = authorization.address;
+    if (chainId === undefined || nonce === undefined || !contract) {
+      throw new InvalidArgumentError('Authorization must include `chainId`, `address`, and `nonce`.');
+    }
+    await this._checkPolicy({
+      type: 'authorization',
+      address,
+      chainId: Number(chainId),
+      contract: String(contract).toLowerCase(),
+      nonce: BigInt(nonce),
+    });
+    const account = await this._findSigner(address);
+    // The authorization is signed as a hash through the generic signing
+    // path, as the Lattice does not know the format
+    requireCapability(this.sdkSession.getFwVersion(), 'genericSigning');
+    // keccak256(MAGIC || rlp([chain_id, address, nonce]))
+    const payload = Buffer.concat([
+      Buffer.from([EIP7702_AUTH_MAGIC]),
+      Buffer.from(rlp.encode([ BigInt(chainId), contract, BigInt(nonce) ])),
+    ]);
+    const res = await this._sdkRequest('sign', () => this.sdkSession.sign({
+      data: {
+        payload,
+        curveType: SDK.Constants.SIGNING.CURVES.SECP256K1,
+        hashType: SDK.Constants.SIGNING.HASHES.KECCAK256,
+        encodingType: SDK.Constants.SIGNING.ENCODINGS.NONE,
+        signerPath: getHdPathIndices(account.hdPath, account.index),
+      }
+    }), { retry: false });
+    if (!res.sig || !res.sig.r || !res.sig.s || !res.pubkey) {
+      throw new InvalidResponseError('No signature returned.');
+    }
+    if (!(await this._signerInCurrentWallet(address))) {
+      throw new WrongActiveWalletError();
+    }
+    const hash = Buffer.from(keccak256(payload));
+    const yParity = getRecoveryParam(hash, res.sig, res.pubkey);
+    verifySigner(address, hash, res.sig.r, res.sig.s, yParity);
+    return {
+      chainId: toHex(chainId),
+      address: contract,
+      nonce: toHex(nonce),
+      yParity: toHex(yParity),
+      r: addHexPrefix(res.sig.r.toString('hex')),
+      s: addHexPrefix(res.sig.s.toString('hex')),
+    };
+  }
+
+  async _signRaw ({ address, signerPath, payload, curve='secp256k1', hash, encoding='none' }={}) {
+    const { CURVES, HASHES, ENCODINGS } = SDK.Constants.SIGNING;
+    curve = getSigningOption('curve', curve, RAW_SIGNING_CURVES);
+    const isEd25519 = curve === 'ED25519';
+    hash = getSigningOption('hash', hash || (isEd25519 ? 'none' : 'keccak256'), RAW_SIGNING_HASHES);
+    encoding = getSigningOption('encoding', encoding, RAW_SIGNING_ENCODINGS);
+    const payloadBuf = getRawPayload(payload);
+    if (isEd25519 && hash !== 'NONE') {
+      throw new InvalidArgumentError('Signing on ed25519 requires an unhashed payload (`hash: "none"`).');
+    }
+    if (!isEd25519 && hash === 'NONE' && encoding !== 'EVM' && payloadBuf.length !== 32) {
+      throw new InvalidArgumentError('Unhashed secp256k1 payloads must be 32 bytes.');
+    }
+    if (!address === !signerPath) {
+      throw new InvalidArgumentError('Either `address` or `signerPath` must be provided.');
+    }
+    // The Lattice validates EVM encoded payloads itself, so they are only
+    // decoded here to check them against the policy
+    if (this.policy.rules.length > 0) {
+      await this._checkPolicy(encoding === 'EVM' ? getRawTxRequestInfo(address || null, payloadBuf) : {
+        type: 'raw',
+        address: address || null,
+        signerPath: signerPath || null,
+        curve: curve.toLowerCase(),
+        hash: hash.toLowerCase(),
+        encoding: encoding.toLowerCase(),
+        payload: payloadBuf,
+      });
+    }
+    let path;
+    if (address) {
+      if (isEd25519) {
+        throw new InvalidArgumentError('Keyring accounts are secp256k1 keys. Use `signerPath` to sign on ed25519.');
+      }
+      const account = await this._findSigner(address);
+      path = getHdPathIndices(account.hdPath, account.index);
+    } else {
+      path = getSignerPathIndices(signerPath);
+      if (isEd25519 && path.some((idx) => idx < HARDENED_OFFSET)) {
+        throw new InvalidArgumentError('Signing on ed25519 requires all signer path indices be hardened.');
+      }
+      await this._unlock();
+    }
+    const fwVersion = this.sdkSession.getFwVersion();
+    requireCapability(fwVersion, encoding === 'EVM' ? 'evmGenericSigning' : 'genericSigning');
+    const res = await this._sdkRequest('sign', () => this.sdkSession.sign({
+      data: {
+        payload: payloadBuf,
+        curveType: CURVES[curve],
+        hashType: HASHES[hash],
+        encodingType: ENCODINGS[encoding],
+        signerPath: path,
+      }
+    }), { retry: false });
+    if (!res.sig || !res.sig.r || !res.sig.s || !res.pubkey) {
+      throw new InvalidResponseError('No signature returned.');
+    }
+    const r = Buffer.from(res.sig.r);
+    const s = Buffer.from(res.sig.s);
+    const sig = { r: addHexPrefix(r.toString('hex')), s: addHexPrefix(s.toString('hex')) };
+    if (isEd25519) {
+      if (!verifyEd25519(payloadBuf, res.sig, res.pubkey)) {
+        throw new InvalidResponseError('Invalid ed25519 signature returned.');
+      }
+    } else {
+      // The recovery param is not part of generic signing responses (except
+      // for EVM encoded payloads), so work it out from the signer's pubkey.
+      let digest = payloadBuf;
+      if (hash === 'KECCAK256' || encoding === 'EVM') {
+        digest = Buffer.from(keccak256(payloadBuf));
+      } else if (hash === 'SHA256') {
+        digest = crypto.createHash('sha256').update(payloadBuf).digest();
+      }
+      try {
+        sig.v = getRecoveryParam(digest, res.sig, res.pubkey);
+      } catch (err) {
+        throw new InvalidResponseError('Invalid secp256k1 signature returned.', { cause: err });
+      }
+      if (address) {
+        verifySigner(address, digest, r, s, sig.v);
+        if (!(await this._signerInCurrentWallet(address))) {
+          throw new WrongActiveWalletError();
+        }
+      }
+    }
+    return {
+      curve: curve.toLowerCase(),
+      hash: hash.toLowerCase(),
+      encoding: encoding.toLowerCase(),
+      signerPath: path,
+      pubkey: addHexPrefix(Buffer.from(res.pubkey).toString('hex')),
+      sig,
+      signature: addHexPrefix(Buffer.concat([ r, s ]).toString('hex')),
+    };
+  }
+
+  // Fetch all address tag records from the Lattice, a page at a time
+  async _getAddressTagRecords() {
+    await this._unlock();
+    requireCapability(this.sdkSession.getFwVersion(), 'addressTags');
+    const records = [];
+    let total = 0;
+    do {
+      const page = await this._sdkRequest('fetch', () => this.sdkSession.getKvRecords({
+        type: ADDRESS_TAG_TYPE,
+        n: KV_PAGE_SIZE,
+        start: records.length,
+      }));
+      total = page.total;
+      if (!page.records || page.records.length === 0) {
+        break;
+      }
+      records.push(...page.records);
+    } while (records.length < total);
+    return records;
+  }
+
+  async _setAddressTags(tags, overwrite) {
+    const entries = Object.keys(tags || {}).map((address) => [ address, tags[address] ]);
+    entries.forEach(([ address, label ]) => {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new InvalidArgumentError(`Invalid address for tag: ${address}.`);
+      }
+      if (typeof label !== 'string' || label.length === 0 || label.length > ADDRESS_TAG_MAX_LEN) {
+        throw new InvalidArgumentError(
+          `Tag for ${address} must be a string of 1-${ADDRESS_TAG_MAX_LEN} characters.`
+        );
+      }
+    });
+    const existing = await this._getAddressTagRecords();
+    const result = { added: [], updated: [], unchanged: [], conflicts: [] };
+    const toAdd = [];
+    const toReplace = [];
+    entries.forEach(([ address, label ]) => {
+      const record = existing.find((r) => r.key.toLowerCase() === address.toLowerCase());
+      if (!record) {
+        toAdd.push([ address, label ]);
+        result.added.push(address);
+      } else if (record.val === label) {
+        result.unchanged.push(address);
+      } else if (overwrite) {
+        toReplace.push(record);
+        toAdd.push([ address, label ]);
+        result.updated.push(address);
+      } else {
+        result.conflicts.push({ address, existing: record.val, requested: label });
+      }
+    });
+    // The Lattice can't update a tag in place, so overwritten tags are
+    // removed before their replacements are added. Removed tags are kept
+    // here (by address) until replaced, so they can be restored on failure.
+    const replaced = {};
+    const markAdded = (address) => {
+      delete replaced[address.toLowerCase()];
+    };
+    try {
+      for (let i = 0; i < toReplace.length; i += KV_REMOVE_MAX) {
+        const batch = toReplace.slice(i, i + KV_REMOVE_MAX);
+        await this._sdkRequest('fetch', () => this.sdkSession.removeKvRecords({
+          type: ADDRESS_TAG_TYPE,
+          ids: batch.map((record) => record.id),
+        }), { retry: false });
+        batch.forEach((record) => {
+          replaced[record.key.toLowerCase()] = record;
+        });
+      }
+      for (let i = 0; i < toAdd.length; i += KV_PAGE_SIZE) {
+        const batch = toAdd.slice(i, i + KV_PAGE_SIZE);
+        try {
+          await this._addAddressTagRecords(batch);
+          batch.forEach(([ address ]) => markAdded(address));
+        } catch (err) {
+          if (err.responseCode !== KV_RECORD_EXISTS) {
+            throw err;
+          }
+          // Another app added a tag for one of these addresses since we
+          // fetched the existing ones. Add the batch one by one so that only
+          // the conflicting tags are skipped.
+          for (const [ address, label ] of batch) {
+            try {
+              await this._addAddressTagRecords([ [ address, label ] ]);
+            } catch (itemErr) {
+              if (itemErr.responseCode !== KV_RECORD_EXISTS) {
+                throw itemErr;
+              }
+              [ 'added', 'updated' ].forEach((key) => {
+                result[key] = result[key].filter((a) => a !== address);
+              });
+              result.conflicts.push({ address, existing: null, requested: label });
+            }
+            markAdded(address);
+          }
+        }
+      }
+    } catch (err) {
+      await this._restoreAddressTags(Object.values(replaced));
+      throw err;
+    }
+    return result;
+  }
+
+  // Add back tags removed by `_setAddressTags`, even if the operation was
+  // cancelled. This is best effort: the original failure is what callers
+  // need to see.
+  async _restoreAddressTags(records) {
+    const signal = this._signal;
+    this._signal = null;
+    try {
+      // Wait for the cancelled request, if any, to leave the Lattice
+      if (this._abandonedRequest) {
+        await this._abandonedRequest;
+      }
+      for (const record of records) {
+        try {
+          await this._addAddressTagRecords([ [ record.key, record.val ] ]);
+        } catch (err) {
+          // Keep restoring the others
+        }
+      }
+    } finally {
+      this._signal = signal;
+    }
+  }
+
+  _addAddressTagRecords(entries) {
+    const records = {};
+    entries.forEach(([ address, label ]) => {
+      records[address] = label;
+    });
+    return this._sdkRequest('fetch', () => {
+      return this.sdkSession.addKvRecords({ type: ADDRESS_TAG_TYPE, records, caseSensitive: false });
+    }, { retry: false });
+  }
+
+  async _removeAddressTags(addresses) {
+    const existing = await this._getAddressTagRecords();
+    const records = existing.filter((record) => {
+      return addresses.some((address) => address.toLowerCase() === record.key.toLowerCase());
+    });
+    const ids = records.map((record) => record.id);
+    for (let i = 0; i < ids.length; i += KV_REMOVE_MAX) {
+      await this._sdkRequest('fetch', () => this.sdkSession.removeKvRecords({
+        type: ADDRESS_TAG_TYPE,
+        ids: ids.slice(i, i + KV_REMOVE_MAX),
+      }), { retry: false });
+    }
+    return records.map((record) => record.key);
+  }
+
+  // Sign a message on behalf of the public `method` (for the audit log)
+  async _signMessageAs (method, address, msg, signal) {
+    const request = getMsgRequestInfo(address, msg);
+    return this._enqueue('signMessage', () => {
+      return this._audited(method, [ request ], async () => {
+        await this._checkPolicy(request);
+        const account = await this._findSigner(address);
+        return this._signMessage(address, account, msg);
+      });
+    }, signal);
+  }
+
+  // Run a signing operation for `requests` (see `getTxRequestInfo`) and
+  // record the outcome of each in the audit log, if there is one. With
+  // `batch` set, `fn` resolves to `_signBatch` results.
+  async _audited (method, requests, fn, batch=false) {
+    if (!this.auditLog) {
+      return fn();
+    }
+    let result;
+    try {
+      result = await fn();
+    } catch (err) {
+      const error = toKeyringError(err);
+      await this._recordAudit(method, requests, requests.map(() => error));
+      throw error;
+    }
+    const itemErrors = batch ? result.map((item) => item.error) : [ null ];
+    await this._recordAudit(method, requests, itemErrors);
+    return result;
+  }
+
+  // Failures to write the audit log do not fail the signing request. They
+  // are reported with an `auditError` event instead.
+  async _recordAudit (method, requests, itemErrors) {
+    for (let i = 0; i < requests.length; i++) {
+      try {
+        await this.auditLog.record(this._getAuditEntry(method, requests[i], itemErrors[i]));
+      } catch (err) {
+        this.emit('auditError', err);
+      }
+    }
+  }
+
+  _getAuditEntry (method, request, error) {
+    const address = request.address || null;
+    // Requests are signed with the signer's account in the active wallet
+    const account = address ?
+                    this.accountStore.resolve(address, { walletUID: this.walletUID }) ||
+                    this.accountStore.resolve(address) :
+                    null;
+    let walletUID = null;
+    let hdPath = null;
+    if (account) {
+      walletUID = account.walletUID;
+      hdPath = formatHdPath(getHdPathIndices(account.hdPath, account.index));
+    }
+    let chainId = null;
+    let decodedMethod = null;
+    if (request.type === 'transaction') {
+      chainId = request.chainId;
+      const selector = request.data.slice(0, 4).toString('hex');
+      const signatures = request.data.length >= 4 && this.decoderRegistry.signatures[selector];
+      decodedMethod = signatures ? signatures[0] : null;
+    } else if (request.typedData) {
+      const domain = request.typedData.domain || {};
+      chainId = isNil(domain.chainId) ? null : Number(domain.chainId);
+      decodedMethod = request.typedData.primaryType || null;
+    }
+    return {
+      method,
+      type: request.type,
+      signer: address,
+      walletUID,
+      hdPath,
+      chainId,
+      hash: getRequestHash(request),
+      decodedMethod,
+      outcome: getAuditOutcome(error),
+      errorCode: error ? error.code : null,
+    };
+  }
+
+  // Check a signing request against the policy. Every evaluation is
+  // reported with a `policyEvaluated` event (`{ request, report }`).
+  // Violations reject with a `PolicyViolationError`, unless in dry-run mode.
+  async _checkPolicy (request) {
+    if (this.policy.rules.length === 0) {
+      return;
+    }
+    const report = await this.policy.evaluate(request);
+    this.emit('policyEvaluated', { request, report });
+    if (!report.allowed && !report.dryRun) {
+      throw new PolicyViolationError(report);
+    }
+  }
+
+  // Find the account to sign for the requested address with. The same
+  // address may be saved for several wallets and HD paths: the first one
+  // added of those in the active wallet is used.
+  async _findSigner (address) {
+    // Take note if this was already unlocked
+    const wasUnlocked = this.isUnlocked();
+    // Unlock and get the wallet UID. We will bypass the reconnection
+    // step if we are able to rehydrate an SDK session with state data.
+    await this._unlock(true);
+    let account = await this._signerInCurrentWallet(address);
+    if (account !== null) {
+      return account;
     }
-    // Add these indices
-    const newlyAdded = [];
-    addrs.forEach((addr, i) => {
-      let alreadySaved = false;
-      for (let j = 0; j < this.accounts.length; j++) {
-        if ((this.accounts[j] === addr) &&
-            (this.accountOpts[j].walletUID === walletUID) &&
-            (this.accountOpts[j].hdPath === this.hdPath))
-          alreadySaved = true;
-      }
-      if (!alreadySaved) {
-        this.accounts.push(addr);
-        this.accountIndices.push(this.unlockedAccount+i);
-        this.accountOpts.push({
-          walletUID,
-          hdPath: this.hdPath,
-        });
-        newlyAdded.push(addr); // Track what was actually added
+    // If this was unlocked already, the `this._unlock` call did not sync
+    // data with the Lattice. We should force a sync by reconnecting.
+    if (wasUnlocked) {
+      await this._connect();
+      // Check the new wallet and see if there is a match
+      account = await this._signerInCurrentWallet(address);
+      if (account !== null) {
+        return account;
       }
-    });
-    return newlyAdded; // Return only the addresses that were actually added
+    }
+    // If we could not find a match, exit here
+    throw new WrongActiveWalletError(
+      'Account not found in active Lattice wallet. Please switch.'
+    );
   }
 
-  // Return the local store of addresses. This gets called when the extension unlocks.
-  async getAccounts() {
-    return this.accounts ? [...this.accounts] : [];
+  // Get the signer's account in the wallet active on the Lattice, or `null`
+  // if the signer is only saved for other wallets.
+  async _signerInCurrentWallet(address) {
+    if (this.accountStore.resolve(address) === null) {
+      throw new SignerNotFoundError(address);
+    }
+    // Get the last updated SDK wallet UID
+    const activeWallet = this.sdkSession.getActiveWallet();
+    if (!activeWallet) {
+      await this._connect();
+      throw new DeviceLockedError();
+    }
+    const activeUID = activeWallet.uid.toString("hex");
+    return this.accountStore.resolve(address, { walletUID: activeUID });
   }
 
-  async signTransaction (address, tx) {
+  // Build, send and validate a signing request for a transaction.
+  // `account` is the (already validated) signer account.
+  async _signTransaction (address, account, tx) {
     let signedTx, v;
     // We will be adding a signature to hydration data for a new
     // transaction object since the sig data is not mutable.
     // Setup `txToReturn` data and start adding to it.
     const txToReturn = tx.toJSON();
-    txToReturn.type = tx._type || null;
-    // Setup info related to signer account
-    const accountIdx = await this._findSignerIdx(address);
+    const txType = getTxType(tx);
+    txToReturn.type = txType || null;
     const chainId = getTxChainId(tx).toNumber();
     const fwVersion = this.sdkSession.getFwVersion();
-    const addressIdx = this.accountIndices[accountIdx];
-    const { hdPath } = this.accountOpts[accountIdx];
-    const signerPath = this._getHDPathIndices(hdPath, addressIdx);
-    // Lattice firmware v0.11.0 implemented EIP1559 and EIP2930
-    // We should throw an error if we cannot support this.
-    if (fwVersion.major === 0 && fwVersion.minor <= 11) {
-      throw new Error('Please update Lattice firmware.');
-    }
+    const signerPath = getHdPathIndices(account.hdPath, account.index);
     // Build the signing request
-    if (fwVersion.major > 0 || fwVersion.minor >= 15) {
+    if (hasCapability(fwVersion, 'evmGenericSigning')) {
       // Newer firmware versions support an easier pathway
       const data = {
         // Legacy transactions return tx params. Newer transactions
         // return the raw, serialized transaction
-        payload:  tx._type ?
-                  tx.getMessageToSign(false) :
-                  rlp.encode(tx.getMessageToSign(false)),
+        payload:  txType ?
+                  Buffer.from(tx.getMessageToSign()) :
+                  rlp.encode(tx.getMessageToSign()),
         curveType: SDK.Constants.SIGNING.CURVES.SECP256K1,
         hashType: SDK.Constants.SIGNING.HASHES.KECCAK256,
         encodingType: SDK.Constants.SIGNING.ENCODINGS.EVM,
         signerPath,
       };
-      const supportsDecoderRecursion = fwVersion.major > 0 || fwVersion.minor >=16;
+      const supportsDecoderRecursion = hasCapability(fwVersion, 'decoderRecursion');
       // Check if we can decode the calldata
-      const { def } = await SDK.Utils.fetchCalldataDecoder(tx.data, tx.to, chainId, supportsDecoderRecursion);
+      const def = await this.decoderRegistry.getDecoder(
+        tx.data,
+        tx.to ? tx.to.toString() : null,
+        chainId,
+        { recurse: supportsDecoderRecursion }
+      );
       if (def) {
         data.decoder = def;
       }
       // Send the request
-      signedTx = await this.sdkSession.sign({ data });
+      signedTx = await this._sdkRequest('sign', () => this.sdkSession.sign({ data }), { retry: false });
     } else {
       // Older firmware versions (<0.15.0) use the legacy signing pathway.
       const data = getLegacyTxReq(tx);
       data.chainId = chainId;
       data.signerPath = signerPath;
-      signedTx = await this.sdkSession.sign({ currency: 'ETH', data });
+      signedTx = await this._sdkRequest('sign', () => this.sdkSession.sign({ currency: 'ETH', data }), { retry: false });
     }
     // Ensure we got a signature back
     if (!signedTx.sig || !signedTx.sig.r || !signedTx.sig.s) {
-      throw new Error('No signature returned.');
+      throw new InvalidResponseError('No signature returned.');
     }
     // Construct the `v` signature param
     if (signedTx.sig.v === undefined) {
@@ -212,54 +1280,67 @@ class LatticeKeyring extends EventEmitter {
     txToReturn.s = addHexPrefix(signedTx.sig.s.toString('hex'));
     txToReturn.v = addHexPrefix(v);
 
+    // Make sure the signature actually recovers to the requested signer
+    verifySigner(
+      address,
+      hashTransaction(tx),
+      txToReturn.r,
+      txToReturn.s,
+      vToRecoveryParam(txToReturn.v)
+    );
+
     // Make sure the active wallet is correct to avoid returning
     // a signature from an unexpected signer.
-    const foundIdx = await this._accountIdxInCurrentWallet(address);
-    if (foundIdx === null) {
-      throw new Error(
-        'Wrong account. Please change your Lattice wallet or ' +
-        'switch to an account on your current active wallet.'
-      );
+    if (!(await this._signerInCurrentWallet(address))) {
+      throw new WrongActiveWalletError();
+    }
+    // Blob and set-code transactions get the signature attached directly,
+    // which keeps any blob network wrapper data `toJSON` leaves out
+    if (txType >= 3) {
+      return tx.addSignature(BigInt(txToReturn.v), txToReturn.r, txToReturn.s);
     }
-    return EthTx.TransactionFactory.fromTxData(txToReturn, {
+    return EthTx.createTx(txToReturn, {
       common: tx.common, freeze: Object.isFrozen(tx)
     })
   }
 
-  async signPersonalMessage(address, msg) {
-    return this.signMessage(address, { payload: msg, protocol: 'signPersonal' });
-  }
-
-  async signTypedData(address, msg, opts) {
-    if (opts.version && (opts.version !== 'V4' && opts.version !== 'V3')) {
-      throw new Error(
-        `Only signTypedData V3 and V4 messages (EIP712) are supported. Got version ${opts.version}`
-      );
+  // Make sure the connected Lattice's firmware can sign this transaction
+  _checkTxSupport (tx) {
+    const fwVersion = this.sdkSession.getFwVersion();
+    const txType = getTxType(tx);
+    // We do not support transaction signing on firmware which predates
+    // EIP1559 and EIP2930 support.
+    requireCapability(fwVersion, 'eip1559');
+    if (txType === 3) {
+      requireCapability(fwVersion, 'blobTransactions');
+    } else if (txType === 4) {
+      requireCapability(fwVersion, 'eip7702');
     }
-    return this.signMessage(address, { payload: msg, protocol: 'eip712' })
   }
 
-  async signMessage (address, msg) {
-    const accountIdx = await this._findSignerIdx(address);
+  // Build, send and validate a signing request for a message.
+  // `account` is the (already validated) signer account.
+  async _signMessage (address, account, msg) {
     let { payload, protocol } = msg;
     // If the message is not an object we assume it is a legacy signPersonal request
     if (!payload || !protocol) {
       payload = msg;
       protocol = "signPersonal";
     }
-    const addressIdx = this.accountIndices[accountIdx];
-    const addressParentPath = this.accountOpts[accountIdx].hdPath;
+    if (protocol === 'eip712') {
+      requireCapability(this.sdkSession.getFwVersion(), 'eip712');
+    }
     const req = {
       currency: "ETH_MSG",
       data: {
         protocol,
         payload,
-        signerPath: this._getHDPathIndices(addressParentPath, addressIdx),
+        signerPath: getHdPathIndices(account.hdPath, account.index),
       },
     };
-    const res = await this.sdkSession.sign(req);
+    const res = await this._sdkRequest('sign', () => this.sdkSession.sign(req), { retry: false });
     if (!res.sig) {
-      throw new Error("No signature returned");
+      throw new InvalidResponseError('No signature returned.');
     }
     // Convert the `v` to a number. It should convert to 0 or 1
     let v;
@@ -269,156 +1350,62 @@ class LatticeKeyring extends EventEmitter {
         v = `0${v}`;
       }
     } catch (err) {
-      throw new Error("Invalid signature format returned.");
+      throw new InvalidResponseError('Invalid signature format returned.');
     }
+    // Make sure the signature actually recovers to the requested signer
+    const hash = protocol === 'eip712' ?
+                 hashTypedData(payload) :
+                 hashPersonalMessage(payload);
+    verifySigner(address, hash, res.sig.r, res.sig.s, vToRecoveryParam(v));
     // Make sure the active wallet is correct to avoid returning
     // a signature from an unexpected signer.
-    const foundIdx = await this._accountIdxInCurrentWallet(address);
-    if (foundIdx === null) {
-      throw new Error(
-        'Wrong account. Please change your Lattice wallet or ' +
-        'switch to an account on your current active wallet.'
-      );
+    if (!(await this._signerInCurrentWallet(address))) {
+      throw new WrongActiveWalletError();
     }
     // Return the sig string
     return `0x${res.sig.r}${res.sig.s}${v}`;
   }
 
-  async exportAccount(address) {
-    throw new Error('exportAccount not supported by this device');
-  }
-
-  removeAccount(address) {
-    this.accounts.forEach((account, i) => {
-      if (account.toLowerCase() === address.toLowerCase()) {
-        this.accounts.splice(i, 1);
-        this.accountIndices.splice(i, 1);
-        this.accountOpts.splice(i, 1);
-        return;
-      }
-    })
-  }
-
-  async getFirstPage() {
-    this.page = 0;
-    return this._getPage(0);
-  }
-
-  async getNextPage () {
-    return this._getPage(1);
-  }
-
-  async getPreviousPage () {
-    return this._getPage(-1);
-  }
-
-  setAccountToUnlock (index) {
-    this.unlockedAccount = parseInt(index, 10)
-  }
-
-  forgetDevice () {
-    this._resetDefaults();
-  }
-
-  //-------------------------------------------------------------------
-  // Internal methods and interface to SDK
-  //-------------------------------------------------------------------
-  // Find the account index of the requested address.
-  // Note that this is the BIP39 path index, not the index in the address cache.
-  async _findSignerIdx (address) {
-    // Take note if this was already unlocked
-    const wasUnlocked = this.isUnlocked();
-    // Unlock and get the wallet UID. We will bypass the reconnection
-    // step if we are able to rehydrate an SDK session with state data.
-    await this.unlock(true);
-    let accountIdx = await this._accountIdxInCurrentWallet(address);
-    if (accountIdx !== null) {
-      return accountIdx;
-    }
-    // If this was unlocked already, the `this.unlock` call did not sync
-    // data with the Lattice. We should force a sync by reconnecting.
-    if (wasUnlocked) {
-      await this._connect();
-      // Check the new wallet and see if there is a match
-      accountIdx = await this._accountIdxInCurrentWallet(address);
-      if (accountIdx !== null) {
-        return accountIdx;
+  // Sign a batch of requests one at a time, emitting a `batchProgress`
+  // event (`{ type, index, total, status }`) as each item is processed.
+  // The batch stops at the first failure, e.g. if the user rejects a request
+  // on the Lattice, and the remaining items are skipped. Resolves to one
+  // `{ status, result, error }` entry per item, with `status` being one of
+  // `signed`, `failed` or `skipped`.
+  async _signBatch (type, items, signItem) {
+    const total = items.length;
+    const results = [];
+    let failure = null;
+    for (let index = 0; index < total; index++) {
+      if (failure !== null) {
+        results.push({
+          status: 'skipped',
+          result: null,
+          error: new LatticeKeyringError(
+            `Not signed: batch stopped at item ${failure}.`,
+            { code: 'BATCH_ABORTED' }
+          ),
+        });
+        this.emit('batchProgress', { type, index, total, status: 'skipped' });
+        continue;
       }
-    }
-    // If we could not find a match, exit here
-    throw new Error(
-      "Account not found in active Lattice wallet. Please switch."
-    );
-  }
-
-  async _accountIdxInCurrentWallet(address) {
-    // Get the wallet UID associated with the signer and make sure
-    // the Lattice has that as its active wallet before continuing.
-    const accountIdx = await this._findAccountByAddress(address);
-    const { walletUID } = this.accountOpts[accountIdx];
-    // Get the last updated SDK wallet UID
-    const activeWallet = this.sdkSession.getActiveWallet();
-    if (!activeWallet) {
-      this._connect();
-      throw new Error("No active wallet in Lattice.");
-    }
-    const activeUID = activeWallet.uid.toString("hex");
-    // If this is already the active wallet we don't need to make a request
-    if (walletUID.toString("hex") === activeUID) {
-      return accountIdx;
-    }
-    return null;
-  }
-
-  async _findAccountByAddress(address) {
-    const addrs = await this.getAccounts();
-    let accountIdx = -1;
-    addrs.forEach((addr, i) => {
-      if (address.toLowerCase() === addr.toLowerCase())
-        accountIdx = i;
-    })
-    if (accountIdx < 0) {
-      throw new Error('Signer not present');
-    }
-    return accountIdx;
-  }
-
-  _getHDPathIndices(hdPath, insertIdx=0) {
-    const path = hdPath.split('/').slice(1);
-    const indices = [];
-    let usedX = false;
-    path.forEach((_idx) => {
-      const isHardened = (_idx[_idx.length - 1] === "'");
-      let idx = isHardened ? HARDENED_OFFSET : 0;
-      // If there is an `x` in the path string, we will use it to insert our
-      // index. This is useful for e.g. Ledger Live path. Most paths have the
-      // changing index as the last one, so having an `x` in the path isn't
-      // usually necessary.
-      if (_idx.indexOf('x') > -1) {
-        idx += insertIdx;
-        usedX = true;
-      } else if (isHardened) {
-        idx += Number(_idx.slice(0, _idx.length - 1));
-      } else {
-        idx += Number(_idx);
+      this.emit('batchProgress', { type, index, total, status: 'pending' });
+      try {
+        const result = await signItem(items[index]);
+        results.push({ status: 'signed', result, error: null });
+        this.emit('batchProgress', { type, index, total, status: 'signed' });
+      } catch (err) {
+        failure = index;
+        const error = toKeyringError(err);
+        results.push({ status: 'failed', result: null, error });
+        this.emit('batchProgress', { type, index, total, status: 'failed', error });
       }
-      indices.push(idx);
-    })
-    // If this path string does not include an `x`, we just append the index
-    // to the end of the extracted set
-    if (usedX === false) {
-      indices.push(insertIdx);
     }
-    // Sanity check -- Lattice firmware will throw an error for large paths
-    if (indices.length > 5)
-      throw new Error('Only HD paths with up to 5 indices are allowed.')
-    return indices;
+    return results;
   }
 
   _resetDefaults() {
-    this.accounts = [];
-    this.accountIndices = [];
-    this.accountOpts = [];
+    this.accountStore = new AccountStore();
     this.isLocked = true;
     this.creds = {
       deviceID: null,
@@ -427,142 +1414,138 @@ class LatticeKeyring extends EventEmitter {
     };
     this.walletUID = null;
     this.sdkSession = null;
+    this._isConnected = false;
+    this.sdkState = null;
+    this.sdkStateTimestamp = null;
+    // Credentials and SDK state which have not been decrypted yet
+    this._encryptedState = null;
+    // Derived addresses, keyed by wallet UID, HD path and index
+    this.addressCache = {};
     this.page = 0;
     this.unlockedAccount = 0;
     this.network = null;
     this.hdPath = STANDARD_HD_PATH;
   }
 
-  async _openConnectorTab(url) {
+  // Get credentials for the target Lattice from the configured provider.
+  // Resolves to `undefined` if we already have credentials.
+  async _getCreds() {
+    // We only need to setup if we don't have a deviceID
+    if (this._hasCreds())
+      return;
+    return this.credentialProvider.getCredentials({ appName: this.appName, signal: this._signal });
+  }
+
+  // Run the pairing handshake if the credential provider supports it.
+  // Providers which pair out-of-band (e.g. the Lattice connector) skip this.
+  async _pair() {
+    if (typeof this.credentialProvider.pair !== 'function') {
+      return false;
+    }
+    await this.credentialProvider.pair(this.sdkSession, { appName: this.appName, signal: this._signal });
+    return true;
+  }
+
+  // [re]connect to the Lattice. This should be done frequently to ensure
+  // the expected wallet UID is still the one active in the Lattice.
+  // This will handle SafeCard insertion/removal events.
+  async _connect () {
+    let isPaired;
     try {
-      const browserTab = window.open(url);
-      // Preferred option for Chromium browsers. This extension runs in a window
-      // for Chromium so we can do window-based communication very easily.
-      if (browserTab) {
-        return { chromium: browserTab };
-      } else if (browser && browser.tabs && browser.tabs.create) {
-        // FireFox extensions do not run in windows, so it will return `null` from
-        // `window.open`. Instead, we need to use the `browser` API to open a tab.
-        // We will surveille this tab to see if its URL parameters change, which
-        // will indicate that the user has logged in.
-        const tab = await browser.tabs.create({url})
-        return { firefox: tab };
-      } else {
-        throw new Error('Unknown browser context. Cannot open Lattice connector.');
-      }
+      isPaired = await this._sdkRequest('connect', () => {
+        return this.sdkSession.connect(this.creds.deviceID);
+      });
     } catch (err) {
-      throw new Error('Failed to open Lattice connector.');
+      // A cancelled request says nothing about the connection
+      if (this._isConnected && toKeyringError(err).code !== 'REQUEST_CANCELLED') {
+        this._isConnected = false;
+        this.emit('disconnected', { reason: 'error', error: err });
+      }
+      throw err;
     }
+    this._isConnected = true;
+    this.emit('connected', { deviceID: this.creds.deviceID, isPaired });
+    // Track the wallet and time of this sync. Persisted session state
+    // is only reused if it is fresh and matches this wallet.
+    this.sdkStateTimestamp = Date.now();
+    this._syncActiveWallet(isPaired);
+    return isPaired;
   }
 
-  async _findTabById(id) {
-    const tabs = await browser.tabs.query({});
-    return tabs.find((tab) => tab.id === id);
+  // Make a request to the Lattice with the timeout for its `kind`
+  // (`connect`, `fetch` or `sign`), retrying it per the retry policy if it
+  // fails with a transient error. Requests which are not safe to repeat
+  // should pass `retry: false`: writes, and signing requests, as a retried
+  // request may prompt the user again. Each retry is reported with a
+  // `retry` event (`{ kind, attempt, delay, error }`).
+  // If the current operation is cancelled, the request is abandoned (the SDK
+  // can't stop it) and no further attempts are made. The abandoned request
+  // is tracked in `_abandonedRequest` until it settles.
+  async _sdkRequest (kind, fn, { retry=true }={}) {
+    const session = this.sdkSession;
+    const signal = this._signal;
+    const attempt = async () => {
+      throwIfAborted(signal);
+      session.timeout = this.timeouts[kind];
+      const request = Promise.resolve(fn());
+      try {
+        return await raceAbort(request, signal, () => this._trackAbandoned(request));
+      } finally {
+        session.timeout = this.timeouts.sign;
+      }
+    };
+    if (!retry) {
+      return attempt();
+    }
+    return withRetry(attempt, this.retryPolicy, {
+      signal,
+      onRetry: ({ attempt, delay, error }) => {
+        this.emit('retry', { kind, attempt, delay, error: toKeyringError(error) });
+      },
+    });
   }
 
-  _getCreds() {
-    return new Promise((resolve, reject) => {
-      // We only need to setup if we don't have a deviceID
-      if (this._hasCreds())
-        return resolve();
-      // If we are not aware of what Lattice we should be talking to,
-      // we need to open a window that lets the user go through the
-      // pairing or connection process.
-      const name = this.appName ? this.appName : 'Unknown'
-      const base = 'https://lattice.gridplus.io';
-      const url = `${base}?keyring=${name}&forceLogin=true`;
-      let listenInterval;
-
-      // PostMessage handler
-      function receiveMessage(event) {
-        // Ensure origin
-        if (event.origin !== base)
-          return;
-        try {
-          // Stop the listener
-          clearInterval(listenInterval);
-          // Parse and return creds
-          const creds = JSON.parse(event.data);
-          if (!creds.deviceID || !creds.password)
-            return reject(new Error('Invalid credentials returned from Lattice.'));
-          return resolve(creds);
-        } catch (err) {
-          return reject(err);
-        }
+  // Track a request abandoned by a cancelled operation until it settles
+  _trackAbandoned (request) {
+    const settled = request.then(() => {}, () => {}).then(() => {
+      if (this._abandonedRequest === settled) {
+        this._abandonedRequest = null;
       }
-
-      // Open the tab
-      this._openConnectorTab(url)
-      .then((conn) => {
-        if (conn.chromium) {
-          // On a Chromium browser we can just listen for a window message
-          window.addEventListener("message", receiveMessage, false);
-          // Watch for the open window closing before creds are sent back
-          listenInterval = setInterval(() => {
-            if (conn.chromium.closed) {
-              clearInterval(listenInterval);
-              return reject(new Error('Lattice connector closed.'));
-            }
-          }, 500);
-        } else if (conn.firefox) {
-          // For Firefox we cannot use `window` in the extension and can't
-          // directly communicate with the tabs very easily so we use a
-          // workaround: listen for changes to the URL, which will contain
-          // the login info.
-          // NOTE: This will only work if have `https://lattice.gridplus.io/*`
-          // host permissions in your manifest file (and also `activeTab` permission)
-          const loginUrlParam = '&loginCache=';
-          listenInterval = setInterval(() => {
-            this._findTabById(conn.firefox.id)
-            .then((tab) => {
-              if (!tab || !tab.url) {
-                return reject(new Error('Lattice connector closed.'));
-              }
-              // If the tab we opened contains a new URL param
-              const paramLoc = tab.url.indexOf(loginUrlParam);
-              if (paramLoc < 0)
-                return;
-              const dataLoc = paramLoc + loginUrlParam.length;
-              // Stop this interval
-              clearInterval(listenInterval);
-              try {
-                // Parse the login data. It is a stringified JSON object
-                // encoded as a base64 string.
-                const _creds = Buffer.from(tab.url.slice(dataLoc), 'base64').toString();
-                // Close the tab and return the credentials
-                browser.tabs.remove(tab.id)
-                .then(() => {
-                  const creds = JSON.parse(_creds);
-                  if (!creds.deviceID || !creds.password)
-                    return reject(new Error('Invalid credentials returned from Lattice.'));
-                  return resolve(creds);
-                })
-              } catch (err) {
-                return reject('Failed to get login data from Lattice. Please try again.')
-              }
-            })
-          }, 500);
-        }
-      })
-    })
+    });
+    this._abandonedRequest = settled;
   }
 
-  // [re]connect to the Lattice. This should be done frequently to ensure
-  // the expected wallet UID is still the one active in the Lattice.
-  // This will handle SafeCard insertion/removal events.
-  async _connect () {
-    try {
-      // Attempt to connect with a Lattice using a shorter timeout. If
-      // the device is unplugged it will time out and we don't need to wait
-      // 2 minutes for that to happen.
-      this.sdkSession.timeout = CONNECT_TIMEOUT;
-      return this.sdkSession.connect(this.creds.deviceID)
-    } finally {
-      // Reset to normal timeout no matter what
-      this.sdkSession.timeout = SDK_TIMEOUT;
+  // Update the tracked wallet UID after a sync with the Lattice and let
+  // listeners know if the active wallet changed or is unavailable.
+  _syncActiveWallet(isPaired) {
+    const activeUID = this._getCurrentWalletUID();
+    if (!activeUID) {
+      // A paired Lattice without an active wallet is locked, or has a
+      // SafeCard inserted which has not been unlocked.
+      if (isPaired) {
+        this.emit('locked', { previousWalletUID: this.walletUID });
+      }
+      return;
+    }
+    const previousUID = this.walletUID;
+    this.walletUID = activeUID;
+    if (!previousUID || previousUID === activeUID) {
+      return;
+    }
+    // Cached addresses are only valid for the wallet that derived them
+    this._clearAddressCache();
+    this.emit('walletChanged', { previousWalletUID: previousUID, walletUID: activeUID });
+    const unavailable = this._getUnavailableAccounts(activeUID);
+    if (unavailable.length > 0) {
+      this.emit('accountsUnavailable', { walletUID: activeUID, accounts: unavailable });
     }
   }
 
+  // Saved accounts which belong to a wallet other than `walletUID`
+  _getUnavailableAccounts(walletUID) {
+    return this.accountStore.list().filter((account) => account.walletUID !== walletUID);
+  }
+
   async _initSession() {
     if (this.isUnlocked()) {
       return;
@@ -573,81 +1556,156 @@ class LatticeKeyring extends EventEmitter {
     let setupData = {
       name: this.appName,
       baseUrl: url,
-      timeout: SDK_TIMEOUT,
+      timeout: this.timeouts.sign,
       privKey: this._genSessionKey(),
       network: this.network,
       skipRetryOnWrongWallet: true,
     };
-    /*
-    NOTE: We need state to actually be synced by MetaMask or we can't
-    use this. See: https://github.com/MetaMask/KeyringController/issues/130
-
-    if (this.sdkState) {
+    const stateData = this._getPersistedSdkState();
+    if (stateData) {
       // If we have state data we can fully rehydrate the session.
-      setupData = {
-        stateData: this.sdkState,
-        skipRetryOnWrongWallet: true,
+      // Make sure the rehydrated session has an active wallet and that it is
+      // the one we last synced with. Otherwise (or if the state data can't
+      // be applied) we fall back to a full connect.
+      let activeUID = null;
+      try {
+        this.sdkSession = this._createClient(Object.assign({ stateData }, setupData));
+        activeUID = this._getCurrentWalletUID();
+      } catch (err) {
+        this.sdkSession = null;
+      }
+      if (activeUID && (!this.walletUID || activeUID === this.walletUID)) {
+        // Return a boolean indicating whether we provided state data.
+        // If we have, we can skip `connect`.
+        return true;
       }
+      this._clearSdkState();
+    }
+    this.sdkSession = this._createClient(setupData);
+    return false;
+  }
+
+  _createClient(setupData) {
+    return this.clientFactory ?
+           this.clientFactory(setupData) :
+           new SDK.Client(setupData);
+  }
+
+  // Get state data with which we can rehydrate an SDK session. State data
+  // older than `sdkStateMaxAge` is considered stale and is discarded.
+  _getPersistedSdkState() {
+    if (!this.sdkState) {
+      return null;
+    }
+    const age = Date.now() - (this.sdkStateTimestamp || 0);
+    if (this.sdkStateMaxAge !== null && age > this.sdkStateMaxAge) {
+      this._clearSdkState();
+      return null;
     }
-    */
-    this.sdkSession = new SDK.Client(setupData);
-    // Return a boolean indicating whether we provided state data.
-    // If we have, we can skip `connect`.
-    return !!setupData.stateData;
+    return this.sdkState;
   }
 
-  async _fetchAddresses(n=1, i=0, recursedAddrs=[]) {
+  // Get the latest state data for the current session, if there is one
+  _getSdkState() {
+    if (this.sdkSession && this._getCurrentWalletUID()) {
+      return this.sdkSession.getStateData();
+    }
+    return this.sdkState;
+  }
+
+  _clearSdkState() {
+    this.sdkState = null;
+    this.sdkStateTimestamp = null;
+  }
+
+  async _fetchAddresses(n=1, i=0, hdPath=this.hdPath) {
     if (!this.isUnlocked()) {
-      throw new Error('No connection to Lattice. Cannot fetch addresses.')
+      throw new LatticeKeyringError(
+        'No connection to Lattice. Cannot fetch addresses.',
+        { code: 'NOT_CONNECTED' }
+      );
+    }
+    // Serve as many addresses as we can from the cache and only ask the
+    // Lattice for the rest.
+    const walletUID = this._getCurrentWalletUID();
+    const cached = this._getCachedAddresses(walletUID, hdPath);
+    const addrs = [];
+    while (addrs.length < n && cached[i + addrs.length]) {
+      addrs.push(cached[i + addrs.length]);
     }
-    return this.__fetchAddresses(n, i);
+    if (addrs.length === n) {
+      return addrs;
+    }
+    const start = i + addrs.length;
+    const fetched = await this.__fetchAddresses(n - addrs.length, start, [], hdPath);
+    fetched.forEach((addr, j) => {
+      cached[start + j] = addr;
+    });
+    return addrs.concat(fetched);
+  }
+
+  // Get the cached addresses (by index) for a wallet and HD path. Entries
+  // added to the returned object are kept in the cache.
+  _getCachedAddresses(walletUID, hdPath) {
+    if (!walletUID) {
+      // Addresses derived without a known wallet are not cached
+      return {};
+    }
+    if (!this.addressCache[walletUID]) {
+      this.addressCache[walletUID] = {};
+    }
+    if (!this.addressCache[walletUID][hdPath]) {
+      this.addressCache[walletUID][hdPath] = {};
+    }
+    return this.addressCache[walletUID][hdPath];
   }
 
-  async __fetchAddresses(n=1, i=0, recursedAddrs=[]) {
+  _clearAddressCache() {
+    this.addressCache = {};
+  }
+
+  async __fetchAddresses(n=1, i=0, recursedAddrs=[], hdPath=this.hdPath) {
     // Determine if we need to do a recursive call here. We prefer not to
     // because they will be much slower, but Ledger paths require it since
     // they are non-standard.
     if (n === 0) {
       return recursedAddrs;
     }
-    const shouldRecurse = this._hdPathHasInternalVarIdx();
+    const shouldRecurse = hdPathHasInternalVarIdx(hdPath);
 
     // Make the request to get the requested address
     const addrData = {
       currency: 'ETH',
-      startPath: this._getHDPathIndices(this.hdPath, i),
+      startPath: getHdPathIndices(hdPath, i),
       n: shouldRecurse ? 1 : n,
     };
-    const addrs = await this.sdkSession.getAddresses(addrData);
+    const addrs = await this._sdkRequest('fetch', () => this.sdkSession.getAddresses(addrData));
     // Sanity check -- if this returned 0 addresses, handle the error
     if (addrs.length < 1) {
-      throw new Error('No addresses returned');
+      throw new InvalidResponseError('No addresses returned.');
     }
     // Return the addresses we fetched *without* updating state
     if (shouldRecurse) {
-      return await this.__fetchAddresses(n-1, i+1, recursedAddrs.concat(addrs));
+      return await this.__fetchAddresses(n-1, i+1, recursedAddrs.concat(addrs), hdPath);
     }
     return addrs;
   }
 
   async _getPage(increment=0) {
+    this.page += increment;
+    if (this.page < 0)
+      this.page = 0;
     try {
-      this.page += increment;
-      if (this.page < 0)
-        this.page = 0;
-      const start = PER_PAGE * this.page;
-      // Otherwise unlock the device and fetch more addresses
-      await this.unlock()
-      const addrs = await this._fetchAddresses(PER_PAGE, start)
-      const accounts = addrs.map((address, i) => {
-        return {
-          address,
-          balance: null,
-          index: start + i,
-        };
-      });
-      return accounts;
+      return await this._fetchPage();
     } catch (err) {
+      // Requests are already retried for transient errors, and some
+      // failures can't be fixed by a resync.
+      const error = toKeyringError(err);
+      if (error.code === 'REQUEST_CANCELLED') {
+        throw error;
+      } else if (FINAL_PAGE_ERRORS.indexOf(error.code) > -1) {
+        throw getPageError(error);
+      }
       // This will get hit for a few reasons. Here are two possibilities:
       // 1. The user has a SafeCard inserted, but not unlocked
       // 2. The user fetched a page for a different wallet, then switched
@@ -657,20 +1715,70 @@ class LatticeKeyring extends EventEmitter {
       try {
         const isPaired = await this._connect();
         if (!isPaired) {
-          throw new Error('NOT_PAIRED');
+          throw new NotPairedError();
         }
-        const accounts = await this._getPage(0);
-        return accounts;
+        return await this._fetchPage();
       } catch (err) {
-        if (this.accounts.length === 0){
+        const cause = toKeyringError(err);
+        if (cause.code === 'REQUEST_CANCELLED') {
+          throw cause;
+        }
+        // Our credentials are only discarded if the Lattice no longer
+        // accepts them, so that the user can pair again.
+        if (cause.code === 'NOT_PAIRED' && this.accountStore.size === 0) {
           this.forgetDevice();
         }
-        throw new Error(
-          'Failed to get accounts. Please forget the device and try again. ' +
-          'Make sure you do not have a locked SafeCard inserted.'
-        );
+        throw getPageError(cause);
+      }
+    }
+  }
+
+  async _fetchPage() {
+    const start = PER_PAGE * this.page;
+    // Otherwise unlock the device and fetch more addresses
+    await this._unlock()
+    const addrs = await this._fetchAddresses(PER_PAGE, start)
+    const balances = await this._getBalances(addrs);
+    return addrs.map((address, i) => {
+      return {
+        address,
+        balance: balances[i].balance,
+        nonce: balances[i].nonce,
+        index: start + i,
+      };
+    });
+  }
+
+  // Look up balances and nonces for a set of addresses. Lookups are best
+  // effort: any value the provider fails to return is `null`.
+  async _getBalances(addrs) {
+    let balances = [];
+    if (this.balanceProvider && addrs.length > 0) {
+      try {
+        balances = await this.balanceProvider.getBalances(addrs);
+      } catch (err) {
+        balances = [];
       }
     }
+    return addrs.map((address, i) => {
+      const entry = (balances && balances[i]) || {};
+      return {
+        balance: isNil(entry.balance) ? null : entry.balance,
+        nonce: isNil(entry.nonce) ? null : entry.nonce,
+      };
+    });
+  }
+
+  async _hasActivity(address) {
+    const [ { balance, nonce } ] = await this._getBalances([ address ]);
+    if (balance === null && nonce === null) {
+      throw new LatticeKeyringError(
+        `Failed to look up activity for ${address}.`,
+        { code: 'BALANCE_LOOKUP_FAILED' }
+      );
+    }
+    return (balance !== null && toBigInt(balance) > 0n) ||
+           (nonce !== null && toBigInt(nonce) > 0n);
   }
 
   _hasCreds() {
@@ -681,7 +1789,7 @@ class LatticeKeyring extends EventEmitter {
     if (this.name && !this.appName) // Migrate from legacy param if needed
       this.appName = this.name;
     if (!this._hasCreds())
-      throw new Error('No credentials -- cannot create session key!');
+      throw new NotPairedError('No credentials -- cannot create session key!');
     const buf = Buffer.concat([
       Buffer.from(this.creds.password),
       Buffer.from(this.creds.deviceID),
@@ -690,19 +1798,6 @@ class LatticeKeyring extends EventEmitter {
     return crypto.createHash('sha256').update(buf).digest();
   }
 
-  // Determine if an HD path has a variable index internal to it.
-  // e.g. m/44'/60'/x'/0/0 -> true, while m/44'/60'/0'/0/x -> false
-  // This is just a hacky helper to avoid having to recursively call for non-ledger
-  // derivation paths. Ledger is SO ANNOYING TO SUPPORT.
-  _hdPathHasInternalVarIdx() {
-    const path = this.hdPath.split('/').slice(1);
-    for (let i = 0; i < path.length -1; i++) {
-      if (path[i].indexOf('x') > -1)
-        return true;
-    }
-    return false;
-  }
-
   _getCurrentWalletUID() {
     if (!this.sdkSession) {
       return null;
@@ -721,46 +1816,256 @@ class LatticeKeyring extends EventEmitter {
 function getTxChainId (tx) {
   if (tx && tx.common && typeof tx.common.chainIdBN === 'function') {
     return tx.common.chainIdBN();
+  } else if (tx && tx.common && typeof tx.common.chainId === 'function') {
+    return new BN(tx.common.chainId().toString());
   } else if (tx && tx.chainId) {
-    return new BN(tx.chainId);
+    return new BN(tx.chainId.toString());
   }
   return new BN(1);
 }
 
+// Get the EIP2718 type of a transaction (0 for legacy transactions).
+// Newer versions of `@ethereumjs/tx` only expose `type`.
+function getTxType (tx) {
+  if (tx._type !== undefined) {
+    return Number(tx._type);
+  }
+  return Number(tx.type || 0);
+}
+
+function toHex (n) {
+  return `0x${BigInt(n).toString(16)}`;
+}
+
+// Format an SDK wallet descriptor for callers. Empty wallet slots, which
+// have an all-zero UID, are returned as `null`.
+function formatWallet (wallet) {
+  if (!wallet || !wallet.uid || !Buffer.from(wallet.uid).some((b) => b !== 0)) {
+    return null;
+  }
+  return {
+    uid: Buffer.from(wallet.uid).toString('hex'),
+    name: wallet.name ? wallet.name.toString().replace(/\0+$/, '') : null,
+    external: !!wallet.external,
+  };
+}
+
+// Resolve the name of a generic signing option (e.g. `keccak256`) to the
+// key of its SDK constant (e.g. `KECCAK256`)
+function getSigningOption (option, name, supported) {
+  const key = typeof name === 'string' ? name.toUpperCase() : null;
+  if (supported.indexOf(key) < 0) {
+    throw new InvalidArgumentError(
+      `Unsupported ${option} "${name}". Must be one of: ` +
+      `${supported.map((s) => s.toLowerCase()).join(', ')}.`
+    );
+  }
+  return key;
+}
+
+// Payloads may be Buffers, hex strings (0x-prefixed) or UTF8 strings
+function getRawPayload (payload) {
+  let buf = null;
+  if (Buffer.isBuffer(payload) || payload instanceof Uint8Array) {
+    buf = Buffer.from(payload);
+  } else if (typeof payload === 'string') {
+    buf = payload.slice(0, 2) === '0x' ?
+          Buffer.from(payload.slice(2), 'hex') :
+          Buffer.from(payload, 'utf8');
+  }
+  if (!buf || buf.length === 0) {
+    throw new InvalidArgumentError('Payload must be a non-empty Buffer or string.');
+  }
+  return buf;
+}
+
+// Describe a transaction request for policy checks (see `lib/policy`) and
+// the audit log
+function getTxRequestInfo (address, tx) {
+  if (!tx || typeof tx.getMessageToSign !== 'function') {
+    throw new InvalidArgumentError('Transaction must be an `@ethereumjs/tx` transaction.');
+  }
+  return {
+    type: 'transaction',
+    address,
+    chainId: getTxChainId(tx).toNumber(),
+    to: tx.to ? tx.to.toString().toLowerCase() : null,
+    value: tx.value ? toBigInt(tx.value) : 0n,
+    data: tx.data ? Buffer.from(tx.data) : Buffer.alloc(0),
+    tx,
+  };
+}
+
+// Describe an EVM encoded `signRaw` payload, an unsigned serialized
+// transaction, as a transaction request (see `getTxRequestInfo`). Legacy
+// transactions without EIP155 replay protection have no chain ID.
+function getRawTxRequestInfo (address, payload) {
+  const txType = payload.length > 0 && payload[0] <= 0x7f ? payload[0] : null;
+  // Index of the `to` field in each transaction type's RLP list
+  const toIndex = txType === null ? 3 : { 1: 4, 2: 5, 3: 5, 4: 5 }[txType];
+  let fields;
+  try {
+    fields = rlp.decode(txType === null ? payload : payload.slice(1));
+  } catch (err) {
+    fields = null;
+  }
+  if (toIndex === undefined || !Array.isArray(fields) || fields.length < toIndex + 3 ||
+      fields.slice(0, toIndex + 3).some(Array.isArray)) {
+    throw new InvalidArgumentError('EVM encoded payloads must be unsigned serialized transactions.');
+  }
+  let chainId = null;
+  if (txType !== null) {
+    chainId = Number(toBigInt(fields[0]));
+  } else if (fields.length > 6 && !Array.isArray(fields[6])) {
+    chainId = Number(toBigInt(fields[6]));
+  }
+  const to = fields[toIndex];
+  return {
+    type: 'transaction',
+    address,
+    chainId,
+    to: to.length > 0 ? addHexPrefix(Buffer.from(to).toString('hex')) : null,
+    value: toBigInt(fields[toIndex + 1]),
+    data: Buffer.from(fields[toIndex + 2]),
+    tx: null,
+  };
+}
+
+// Describe a message request (see `signMessage` for formats)
+function getMsgRequestInfo (address, msg) {
+  let { payload, protocol } = msg || {};
+  if (!payload || !protocol) {
+    payload = msg;
+    protocol = 'signPersonal';
+  }
+  let typedData = null;
+  if (protocol === 'eip712') {
+    try {
+      typedData = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    } catch (err) {
+      throw new InvalidArgumentError('Typed data must be valid JSON.');
+    }
+    if (!typedData || typeof typedData !== 'object') {
+      throw new InvalidArgumentError('Typed data must be an object.');
+    }
+  } else if (protocol !== 'signPersonal') {
+    throw new InvalidArgumentError(
+      `Unsupported message protocol "${protocol}". Must be one of: signPersonal, eip712.`
+    );
+  } else if (typeof payload !== 'string' && !(payload instanceof Uint8Array)) {
+    throw new InvalidArgumentError('Message must be a string or a Buffer.');
+  }
+  return { type: 'message', address, protocol, payload, typedData };
+}
+
+// Hash of the data signed for a request, or `null` if it is malformed
+function getRequestHash (request) {
+  try {
+    let hash;
+    if (request.type === 'transaction') {
+      hash = hashTransaction(request.tx);
+    } else if (request.protocol === 'eip712') {
+      hash = hashTypedData(request.typedData);
+    } else {
+      hash = hashPersonalMessage(request.payload);
+    }
+    return addHexPrefix(Buffer.from(hash).toString('hex'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Get the label of the first labelled account in `accounts`, if any
+function getAccountLabel (accounts) {
+  const labelled = accounts.find((account) => account.label);
+  return labelled ? labelled.label : null;
+}
+
+function getAuditOutcome (error) {
+  if (!error) {
+    return 'signed';
+  }
+  switch (error.code) {
+    case 'USER_REJECTED':
+      return 'rejected';
+    case 'POLICY_VIOLATION':
+      return 'blocked';
+    case 'BATCH_ABORTED':
+      return 'skipped';
+    case 'REQUEST_CANCELLED':
+      return 'cancelled';
+    default:
+      return 'failed';
+  }
+}
+
+// Error for a failure to fetch a page of accounts, keeping the code of the
+// underlying failure so callers can tell e.g. a timeout from a locked device.
+function getPageError (cause) {
+  return new LatticeKeyringError(
+    'Failed to get accounts. Please forget the device and try again. ' +
+    'Make sure you do not have a locked SafeCard inserted.',
+    { code: cause.code, cause }
+  );
+}
+
+// Validate timeout options, filling in defaults
+function getTimeouts (timeouts={}) {
+  const result = Object.assign({}, DEFAULT_TIMEOUTS);
+  Object.keys(timeouts || {}).forEach((kind) => {
+    if (DEFAULT_TIMEOUTS[kind] === undefined) {
+      throw new InvalidArgumentError(
+        `Unknown timeout "${kind}". Must be one of: ${Object.keys(DEFAULT_TIMEOUTS).join(', ')}.`
+      );
+    }
+    if (!isNil(timeouts[kind])) {
+      if (!Number.isFinite(timeouts[kind]) || timeouts[kind] <= 0) {
+        throw new InvalidArgumentError(`Timeout "${kind}" must be a positive number of ms.`);
+      }
+      result[kind] = timeouts[kind];
+    }
+  });
+  return result;
+}
+
+function isNil (x) {
+  return x === null || x === undefined;
+}
+
 // Legacy versions of Lattice firmware signed ETH transactions out of
 // a now deprecated pathway. The request data is built by this helper.
 function getLegacyTxReq (tx) {
   let txData;
   try {
     txData = {
-      nonce: `0x${tx.nonce.toString('hex')}` || 0,
-      gasLimit: `0x${tx.gasLimit.toString('hex')}`,
-      to: !!tx.to ? tx.to.toString('hex') : null, // null for contract deployments
-      value: `0x${tx.value.toString('hex')}`,
-      data: tx.data.length === 0 ? null : `0x${tx.data.toString('hex')}`,
+      nonce: toHex(tx.nonce),
+      gasLimit: toHex(tx.gasLimit),
+      to: !!tx.to ? tx.to.toString() : null, // null for contract deployments
+      value: toHex(tx.value),
+      data: tx.data.length === 0 ? null : `0x${Buffer.from(tx.data).toString('hex')}`,
     }
-    switch (tx._type) {
+    switch (getTxType(tx)) {
       case 2: // eip1559
         if ((tx.maxPriorityFeePerGas === null || tx.maxFeePerGas === null) ||
             (tx.maxPriorityFeePerGas === undefined || tx.maxFeePerGas === undefined))
-          throw new Error('`maxPriorityFeePerGas` and `maxFeePerGas` must be included for EIP1559 transactions.');
-        txData.maxPriorityFeePerGas = `0x${tx.maxPriorityFeePerGas.toString('hex')}`;
-        txData.maxFeePerGas = `0x${tx.maxFeePerGas.toString('hex')}`;
+          throw new InvalidArgumentError('`maxPriorityFeePerGas` and `maxFeePerGas` must be included for EIP1559 transactions.');
+        txData.maxPriorityFeePerGas = toHex(tx.maxPriorityFeePerGas);
+        txData.maxFeePerGas = toHex(tx.maxFeePerGas);
         txData.accessList = tx.accessList || [];
         txData.type = 2;
         break;
       case 1: // eip2930
         txData.accessList = tx.accessList || [];
-        txData.gasPrice = `0x${tx.gasPrice.toString('hex')}`;
+        txData.gasPrice = toHex(tx.gasPrice);
         txData.type = 1;
         break;
       default: // legacy
-        txData.gasPrice = `0x${tx.gasPrice.toString('hex')}`;
+        txData.gasPrice = toHex(tx.gasPrice);
         txData.type = null;
         break;
     }
   } catch (err) {
-    throw new Error(`Failed to build transaction.`)
+    throw new InvalidArgumentError('Failed to build transaction.', { cause: err });
   }
   return txData;
 }
@@ -770,9 +2075,28 @@ async function httpRequest (url) {
   if (resp.ok) {
     return await resp.text();
   } else {
-    throw new Error('Failed to make request: ', resp.status);
+    throw new LatticeKeyringError(
+      `Failed to make request: ${resp.status}`,
+      { code: 'REQUEST_FAILED' }
+    );
   }
 }
 
 LatticeKeyring.type = keyringType
+LatticeKeyring.errors = errors;
+// The simulator pulls in BIP39 and HD key derivation, so it is only loaded
+// when used
+Object.defineProperty(LatticeKeyring, 'SimulatedLattice', {
+  enumerable: true,
+  get: () => require('./lib/simulator').SimulatedLattice,
+});
+LatticeKeyring.ConnectorCredentialProvider = ConnectorCredentialProvider;
+LatticeKeyring.PairingCredentialProvider = PairingCredentialProvider;
+LatticeKeyring.JsonRpcBalanceProvider = JsonRpcBalanceProvider;
+LatticeKeyring.DecoderRegistry = DecoderRegistry;
+LatticeKeyring.AccountStore = AccountStore;
+LatticeKeyring.PolicyEngine = PolicyEngine;
+LatticeKeyring.AuditLog = AuditLog;
+LatticeKeyring.MemoryAuditStorage = MemoryAuditStorage;
+LatticeKeyring.getUserOperationHash = getUserOperationHash;
 module.exports = LatticeKeyring;
\ No newline at end of file
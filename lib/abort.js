@@ -0,0 +1,61 @@
+const { RequestCancelledError } = require('./errors');
+
+// Helpers for cancelling requests with an `AbortSignal`. Signals are
+// optional everywhere: a missing signal never aborts.
+
+function getCancelledError (signal) {
+  const reason = signal.reason;
+  return new RequestCancelledError(undefined, reason instanceof Error ? { cause: reason } : {});
+}
+
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) {
+    throw getCancelledError(signal);
+  }
+}
+
+// Settle with `promise`, or reject with a `RequestCancelledError` as soon
+// as `signal` aborts. `promise` itself is not stopped. `onAbort` is called
+// if the signal aborts first.
+function raceAbort (promise, signal, onAbort) {
+  if (!signal) {
+    return Promise.resolve(promise);
+  }
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      if (onAbort) {
+        onAbort();
+      }
+      reject(getCancelledError(signal));
+    };
+    if (signal.aborted) {
+      abort();
+      // Make sure a rejection of the abandoned promise is handled
+      Promise.resolve(promise).catch(() => {});
+      return;
+    }
+    signal.addEventListener('abort', abort, { once: true });
+    Promise.resolve(promise).then((result) => {
+      signal.removeEventListener('abort', abort);
+      resolve(result);
+    }, (err) => {
+      signal.removeEventListener('abort', abort);
+      reject(err);
+    });
+  });
+}
+
+// Wait `ms`, rejecting early if `signal` aborts
+function delay (ms, signal) {
+  let timer;
+  const wait = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms);
+  });
+  return raceAbort(wait, signal, () => clearTimeout(timer));
+}
+
+module.exports = {
+  throwIfAborted,
+  raceAbort,
+  delay,
+};
@@ -0,0 +1,149 @@
+const { InvalidArgumentError } = require('./errors');
+const FILTER_FIELDS = [ 'address', 'walletUID', 'hdPath', 'index' ];
+
+// Store of the keyring's accounts. Each account is keyed by the wallet it
+// belongs to and its derivation path (`hdPath` template and `index`), so the
+// same address may be saved under several paths and wallets, e.g. a SafeCard
+// restored from the seed of the Lattice's internal wallet.
+// Accounts are plain objects of the form
+// `{ address, walletUID, hdPath, index, label }` (`label` is optional), kept
+// in the order they were added. Methods return copies.
+class AccountStore {
+  constructor (accounts=[]) {
+    this._accounts = [];
+    accounts.forEach((account) => this.add(account));
+  }
+
+  get size () {
+    return this._accounts.length;
+  }
+
+  // Add an account unless one with the same key is already saved.
+  // Returns `true` if the account was added.
+  add ({ address, walletUID, hdPath, index, label }) {
+    if (!isAddress(address)) {
+      throw new InvalidArgumentError('Account `address` must be an address.');
+    } else if (!walletUID || typeof walletUID !== 'string') {
+      throw new InvalidArgumentError('Account `walletUID` must be a hex string.');
+    } else if (!hdPath || typeof hdPath !== 'string') {
+      throw new InvalidArgumentError('Account `hdPath` must be a string.');
+    } else if (!Number.isInteger(index) || index < 0) {
+      throw new InvalidArgumentError('Account `index` must be a non-negative integer.');
+    }
+    if (this._find({ walletUID, hdPath, index })) {
+      return false;
+    }
+    const account = { address, walletUID, hdPath, index };
+    if (label) {
+      account.label = label;
+    }
+    this._accounts.push(account);
+    return true;
+  }
+
+  // Get the account with the given key, or `null`
+  get ({ walletUID, hdPath, index }) {
+    if ([ walletUID, hdPath, index ].some((field) => field === undefined || field === null)) {
+      return null;
+    }
+    const account = this._find({ walletUID, hdPath, index });
+    return account ? copy(account) : null;
+  }
+
+  // Get the accounts matching `filter`, which may set any of `address`,
+  // `walletUID`, `hdPath` and `index`
+  list (filter={}) {
+    return this._accounts.filter((account) => matches(account, filter)).map(copy);
+  }
+
+  // Get the unique saved addresses, in the order they were first added
+  getAddresses () {
+    const seen = {};
+    const addresses = [];
+    this._accounts.forEach((account) => {
+      const key = account.address.toLowerCase();
+      if (!seen[key]) {
+        seen[key] = true;
+        addresses.push(account.address);
+      }
+    });
+    return addresses;
+  }
+
+  // Pick the account to sign for `address` with: the first one added of
+  // those matching `filter` (e.g. `{ walletUID }` of the active wallet).
+  // Returns `null` if there is none.
+  resolve (address, filter={}) {
+    const account = this._find(Object.assign({}, filter, { address }));
+    return account ? copy(account) : null;
+  }
+
+  // Set (or clear, with a falsy label) the label of the accounts matching
+  // `filter`. Returns the number of accounts updated.
+  setLabel (filter, label) {
+    let updated = 0;
+    this._accounts.forEach((account) => {
+      if (matches(account, filter)) {
+        if (label) {
+          account.label = label;
+        } else {
+          delete account.label;
+        }
+        updated += 1;
+      }
+    });
+    return updated;
+  }
+
+  // Remove the accounts matching `filter`. Returns the removed accounts.
+  remove (filter) {
+    if (!filter || !FILTER_FIELDS.some((field) => isSet(filter, field))) {
+      throw new InvalidArgumentError(
+        `Specify the accounts to remove by ${FILTER_FIELDS.map((field) => `\`${field}\``).join(', ')}.`
+      );
+    }
+    const removed = this._accounts.filter((account) => matches(account, filter));
+    this._accounts = this._accounts.filter((account) => !matches(account, filter));
+    return removed.map(copy);
+  }
+
+  clear () {
+    this._accounts = [];
+  }
+
+  toJSON () {
+    return this.list();
+  }
+
+  _find (filter) {
+    return this._accounts.find((account) => matches(account, filter)) || null;
+  }
+}
+
+// Fields which are not set in `filter` match any account
+function matches (account, filter) {
+  return FILTER_FIELDS.every((field) => {
+    if (!isSet(filter, field)) {
+      return true;
+    } else if (field === 'address') {
+      return account.address.toLowerCase() === String(filter.address).toLowerCase();
+    }
+    return account[field] === filter[field];
+  });
+}
+
+function isSet (filter, field) {
+  return filter[field] !== undefined && filter[field] !== null;
+}
+
+function copy (account) {
+  return Object.assign({}, account);
+}
+
+function isAddress (address) {
+  return typeof address === 'string' && /^0x[0-9a-fA-F]{40}$/.test(address);
+}
+
+module.exports = {
+  AccountStore,
+};
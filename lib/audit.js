@@ -0,0 +1,128 @@
+const { InvalidArgumentError } = require('./errors');
+// Fields of each audit log entry, in CSV column order
+const AUDIT_FIELDS = [
+  'timestamp',
+  'method',
+  'type',
+  'signer',
+  'walletUID',
+  'hdPath',
+  'chainId',
+  'hash',
+  'decodedMethod',
+  'outcome',
+  'errorCode',
+];
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Default audit log storage, which keeps entries in memory. Other adapters
+// (e.g. for IndexedDB or a file) implement the same methods, which may
+// return promises:
+// * `append(entry)`: store a new entry
+// * `getEntries()`: get all stored entries, oldest first
+// * `setEntries(entries)`: replace the stored entries (used for retention)
+class MemoryAuditStorage {
+  constructor () {
+    this.entries = [];
+  }
+
+  append (entry) {
+    this.entries.push(entry);
+  }
+
+  getEntries () {
+    return this.entries.slice();
+  }
+
+  setEntries (entries) {
+    this.entries = entries.slice();
+  }
+}
+
+// Log of signing requests and their outcomes. Only the newest `maxEntries`
+// entries (and, if set, those younger than `maxAge` ms) are retained.
+class AuditLog {
+  constructor (opts={}) {
+    const storage = opts.storage || new MemoryAuditStorage();
+    if ([ 'append', 'getEntries', 'setEntries' ].some((fn) => typeof storage[fn] !== 'function')) {
+      throw new InvalidArgumentError(
+        'Audit log storage must implement `append`, `getEntries` and `setEntries`.'
+      );
+    }
+    this.storage = storage;
+    this.maxEntries = opts.maxEntries !== undefined ? opts.maxEntries : DEFAULT_MAX_ENTRIES;
+    this.maxAge = opts.maxAge || null;
+  }
+
+  async record (entry) {
+    const full = {};
+    AUDIT_FIELDS.forEach((field) => {
+      full[field] = entry[field] === undefined ? null : entry[field];
+    });
+    if (!full.timestamp) {
+      full.timestamp = new Date().toISOString();
+    }
+    await this.storage.append(full);
+    await this.applyRetention();
+    return full;
+  }
+
+  // Get entries, oldest first. Optionally only those since a date and/or
+  // with a given signer or outcome.
+  async getEntries ({ since, signer, outcome }={}) {
+    const entries = await this.storage.getEntries();
+    const sinceMs = since ? new Date(since).getTime() : null;
+    return entries.filter((entry) => {
+      return (sinceMs === null || new Date(entry.timestamp).getTime() >= sinceMs) &&
+             (!signer || (entry.signer && entry.signer.toLowerCase() === signer.toLowerCase())) &&
+             (!outcome || entry.outcome === outcome);
+    });
+  }
+
+  async clear () {
+    await this.storage.setEntries([]);
+  }
+
+  async applyRetention () {
+    const entries = await this.storage.getEntries();
+    let kept = entries;
+    if (this.maxAge) {
+      const cutoff = Date.now() - this.maxAge;
+      kept = kept.filter((entry) => new Date(entry.timestamp).getTime() >= cutoff);
+    }
+    if (this.maxEntries !== null && kept.length > this.maxEntries) {
+      kept = kept.slice(kept.length - this.maxEntries);
+    }
+    if (kept.length !== entries.length) {
+      await this.storage.setEntries(kept);
+    }
+  }
+
+  async exportJSON (filter) {
+    return JSON.stringify(await this.getEntries(filter), null, 2);
+  }
+
+  async exportCSV (filter) {
+    const entries = await this.getEntries(filter);
+    const rows = entries.map((entry) => AUDIT_FIELDS.map((field) => toCsvValue(entry[field])));
+    return [ AUDIT_FIELDS ].concat(rows).map((row) => row.join(',')).join('\n');
+  }
+}
+
+function toCsvValue (value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let str = String(value);
+  // Keep spreadsheet apps from evaluating values as formulas
+  if (/^[=+\-@]/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+module.exports = {
+  AuditLog,
+  MemoryAuditStorage,
+  AUDIT_FIELDS,
+};
@@ -0,0 +1,96 @@
+const { LatticeKeyringError, InvalidArgumentError } = require('./errors');
+
+// Balance providers look up account balances and nonces for the keyring's
+// paginated account listings. A provider must implement
+// `getBalances(addresses)`, which resolves to one `{ balance, nonce }`
+// entry (hex strings, or `null` if unknown) per address.
+
+// Default provider. Looks up balances and nonces over JSON-RPC, either
+// through an EIP1193 provider object or by sending batched requests to a
+// node URL.
+class JsonRpcBalanceProvider {
+  constructor (provider) {
+    if (typeof provider === 'string') {
+      this.url = provider;
+    } else if (provider && typeof provider.request === 'function') {
+      this.provider = provider;
+    } else {
+      throw new InvalidArgumentError('Balance provider must be a JSON-RPC URL or an EIP1193 provider.');
+    }
+    this.nextId = 1;
+  }
+
+  async getBalances (addresses) {
+    const calls = [];
+    addresses.forEach((address) => {
+      calls.push({ method: 'eth_getBalance', params: [ address, 'latest' ] });
+      calls.push({ method: 'eth_getTransactionCount', params: [ address, 'latest' ] });
+    });
+    const results = this.provider ?
+                    await this._sendEip1193(calls) :
+                    await this._sendBatch(calls);
+    return addresses.map((address, i) => {
+      return {
+        balance: results[2 * i],
+        nonce: results[(2 * i) + 1],
+      };
+    });
+  }
+
+  // EIP1193 providers take one request at a time. Failed requests resolve
+  // to `null` so that one bad lookup does not fail the rest.
+  async _sendEip1193 (calls) {
+    return Promise.all(calls.map((call) => {
+      return this.provider.request(call).catch(() => null);
+    }));
+  }
+
+  // Send all calls in a single JSON-RPC batch request. Results are matched
+  // back to calls by ID since nodes may return them in any order.
+  async _sendBatch (calls) {
+    const reqs = calls.map((call) => {
+      return Object.assign({ jsonrpc: '2.0', id: this.nextId++ }, call);
+    });
+    const resp = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(reqs),
+    });
+    if (!resp.ok) {
+      throw new LatticeKeyringError(
+        `Balance request failed with status ${resp.status}.`,
+        { code: 'BALANCE_LOOKUP_FAILED' }
+      );
+    }
+    let body = await resp.json();
+    if (!Array.isArray(body)) {
+      body = [ body ];
+    }
+    const results = {};
+    body.forEach((res) => {
+      if (res && !res.error && res.result !== undefined) {
+        results[res.id] = res.result;
+      }
+    });
+    return reqs.map((req) => {
+      return results[req.id] !== undefined ? results[req.id] : null;
+    });
+  }
+}
+
+// Get a balance provider from a keyring option. Accepts a custom provider
+// implementing `getBalances`, or a JSON-RPC URL / EIP1193 provider which
+// is wrapped in a `JsonRpcBalanceProvider`.
+function toBalanceProvider (provider) {
+  if (!provider) {
+    return null;
+  } else if (typeof provider.getBalances === 'function') {
+    return provider;
+  }
+  return new JsonRpcBalanceProvider(provider);
+}
+
+module.exports = {
+  JsonRpcBalanceProvider,
+  toBalanceProvider,
+};
@@ -0,0 +1,89 @@
+const { FirmwareUnsupportedError } = require('./errors');
+
+// Features of the Lattice which depend on its firmware version, and the
+// minimum version which supports each.
+const CAPABILITIES = {
+  eip712: {
+    minFwVersion: { major: 0, minor: 10, fix: 5 },
+    description: 'EIP712 typed data signing',
+  },
+  eip1559: {
+    minFwVersion: { major: 0, minor: 12, fix: 0 },
+    description: 'EIP1559 and EIP2930 transaction signing',
+  },
+  addressTags: {
+    minFwVersion: { major: 0, minor: 12, fix: 0 },
+    description: 'Address tagging',
+  },
+  genericSigning: {
+    minFwVersion: { major: 0, minor: 14, fix: 0 },
+    description: 'Generic signing',
+  },
+  evmGenericSigning: {
+    minFwVersion: { major: 0, minor: 15, fix: 0 },
+    description: 'EVM transaction signing with calldata decoding',
+  },
+  decoderRecursion: {
+    minFwVersion: { major: 0, minor: 16, fix: 0 },
+    description: 'Decoding of nested calldata',
+  },
+  blobTransactions: {
+    minFwVersion: { major: 0, minor: 18, fix: 0 },
+    description: 'EIP4844 (blob) transaction signing',
+  },
+  eip7702: {
+    minFwVersion: { major: 0, minor: 18, fix: 0 },
+    description: 'EIP7702 (set code) transaction signing',
+  },
+};
+
+// Get the capability table for a firmware version:
+// `{ [feature]: { supported, minFwVersion, description } }`.
+function getCapabilities (fwVersion) {
+  const capabilities = {};
+  Object.keys(CAPABILITIES).forEach((feature) => {
+    const { minFwVersion, description } = CAPABILITIES[feature];
+    capabilities[feature] = {
+      supported: isFwAtLeast(fwVersion, minFwVersion),
+      minFwVersion: fwVersionStr(minFwVersion),
+      description,
+    };
+  });
+  return capabilities;
+}
+
+function hasCapability (fwVersion, feature) {
+  return isFwAtLeast(fwVersion, CAPABILITIES[feature].minFwVersion);
+}
+
+// Throw a `FirmwareUnsupportedError` if `feature` is not supported
+function requireCapability (fwVersion, feature) {
+  if (hasCapability(fwVersion, feature)) {
+    return;
+  }
+  const { minFwVersion, description } = CAPABILITIES[feature];
+  throw new FirmwareUnsupportedError(
+    `${description} requires Lattice firmware v${fwVersionStr(minFwVersion)} ` +
+    `or later (connected: v${fwVersionStr(fwVersion)}). Please update Lattice firmware.`
+  );
+}
+
+function isFwAtLeast (fwVersion, minVersion) {
+  if (fwVersion.major !== minVersion.major)
+    return fwVersion.major > minVersion.major;
+  if (fwVersion.minor !== minVersion.minor)
+    return fwVersion.minor > minVersion.minor;
+  return fwVersion.fix >= minVersion.fix;
+}
+
+function fwVersionStr (fwVersion) {
+  return `${fwVersion.major}.${fwVersion.minor}.${fwVersion.fix}`;
+}
+
+module.exports = {
+  CAPABILITIES,
+  getCapabilities,
+  hasCapability,
+  requireCapability,
+  fwVersionStr,
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const {
+  LatticeKeyringError,
+  ConnectorClosedError,
+  NotPairedError,
+  InvalidResponseError,
+  InvalidArgumentError,
+} = require('./errors');
+const { throwIfAborted, raceAbort } = require('./abort');
+const CONNECTOR_URL = 'https://lattice.gridplus.io';
+
+// Credential providers are responsible for supplying the `deviceID` and
+// `password` which identify the keyring to a Lattice. A provider must
+// implement `getCredentials({ appName, signal })`, which resolves to
+// `{ deviceID, password, endpoint }`. It may also implement
+// `pair(client, { appName, signal })`, which gets called if the SDK client
+// is not yet paired with the target Lattice after connecting. `signal` is
+// the caller's optional `AbortSignal`; providers should stop waiting and
+// reject with a `RequestCancelledError` when it aborts.
+
+// Default provider. Opens the Lattice connector (`lattice.gridplus.io`) in
+// a new browser tab and waits for the user to log in. The connector pairs
+// with the device on the keyring's behalf, so no `pair` step is needed.
+// This only works in a browser extension context.
+class ConnectorCredentialProvider {
+  constructor (opts={}) {
+    this.url = opts.url || CONNECTOR_URL;
+  }
+
+  getCredentials ({ appName, signal }={}) {
+    try {
+      throwIfAborted(signal);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    let cleanup;
+    const request = new Promise((_resolve, _reject) => {
+      // If we are not aware of what Lattice we should be talking to,
+      // we need to open a window that lets the user go through the
+      // pairing or connection process.
+      const name = appName ? appName : 'Unknown'
+      const base = this.url;
+      const url = `${base}?keyring=${name}&forceLogin=true`;
+      let listenInterval;
+      let conn = null;
+      let cancelled = false;
+
+      // Stop polling and listening for credentials. This is done however
+      // the request ends.
+      const stopListening = () => {
+        clearInterval(listenInterval);
+        if (typeof window !== 'undefined') {
+          window.removeEventListener("message", receiveMessage, false);
+        }
+      };
+      const resolve = (creds) => {
+        stopListening();
+        _resolve(creds);
+      };
+      const reject = (err) => {
+        stopListening();
+        _reject(err);
+      };
+
+      // Stop listening for credentials and close the connector
+      cleanup = () => {
+        cancelled = true;
+        stopListening();
+        if (conn && conn.chromium && !conn.chromium.closed) {
+          conn.chromium.close();
+        } else if (conn && conn.firefox) {
+          browser.tabs.remove(conn.firefox.id).catch(() => {});
+        }
+      };
+
+      // PostMessage handler
+      function receiveMessage(event) {
+        // Ensure origin
+        if (event.origin !== base)
+          return;
+        try {
+          // Parse and return creds
+          const creds = JSON.parse(event.data);
+          if (!creds.deviceID || !creds.password)
+            return reject(new InvalidResponseError('Invalid credentials returned from Lattice.'));
+          return resolve(creds);
+        } catch (err) {
+          return reject(new InvalidResponseError(
+            'Invalid credentials returned from Lattice.', { cause: err }
+          ));
+        }
+      }
+
+      // Open the tab
+      this._openConnectorTab(url)
+      .then((_conn) => {
+        conn = _conn;
+        if (cancelled) {
+          return cleanup();
+        }
+        if (conn.chromium) {
+          // On a Chromium browser we can just listen for a window message
+          window.addEventListener("message", receiveMessage, false);
+          // Watch for the open window closing before creds are sent back
+          listenInterval = setInterval(() => {
+            if (conn.chromium.closed) {
+              clearInterval(listenInterval);
+              return reject(new ConnectorClosedError());
+            }
+          }, 500);
+        } else if (conn.firefox) {
+          // For Firefox we cannot use `window` in the extension and can't
+          // directly communicate with the tabs very easily so we use a
+          // workaround: listen for changes to the URL, which will contain
+          // the login info.
+          // NOTE: This will only work if have `https://lattice.gridplus.io/*`
+          // host permissions in your manifest file (and also `activeTab` permission)
+          const loginUrlParam = '&loginCache=';
+          listenInterval = setInterval(() => {
+            this._findTabById(conn.firefox.id)
+            .then((tab) => {
+              if (!tab || !tab.url) {
+                return reject(new ConnectorClosedError());
+              }
+              // If the tab we opened contains a new URL param
+              const paramLoc = tab.url.indexOf(loginUrlParam);
+              if (paramLoc < 0)
+                return;
+              const dataLoc = paramLoc + loginUrlParam.length;
+              // Stop this interval
+              clearInterval(listenInterval);
+              try {
+                // Parse the login data. It is a stringified JSON object
+                // encoded as a base64 string.
+                const _creds = Buffer.from(tab.url.slice(dataLoc), 'base64').toString();
+                // Close the tab and return the credentials
+                browser.tabs.remove(tab.id)
+                .then(() => {
+                  const creds = JSON.parse(_creds);
+                  if (!creds.deviceID || !creds.password)
+                    return reject(new InvalidResponseError('Invalid credentials returned from Lattice.'));
+                  return resolve(creds);
+                })
+                .catch((err) => reject(getLoginDataError(err)));
+              } catch (err) {
+                return reject(getLoginDataError(err));
+              }
+            })
+            .catch((err) => reject(getLoginDataError(err)));
+          }, 500);
+        }
+      })
+      .catch(reject);
+    });
+    return raceAbort(request, signal, () => cleanup());
+  }
+
+  async _openConnectorTab(url) {
+    try {
+      const browserTab = window.open(url);
+      // Preferred option for Chromium browsers. This extension runs in a window
+      // for Chromium so we can do window-based communication very easily.
+      if (browserTab) {
+        return { chromium: browserTab };
+      } else if (typeof browser !== 'undefined' && browser.tabs && browser.tabs.create) {
+        // FireFox extensions do not run in windows, so it will return `null` from
+        // `window.open`. Instead, we need to use the `browser` API to open a tab.
+        // We will surveille this tab to see if its URL parameters change, which
+        // will indicate that the user has logged in.
+        const tab = await browser.tabs.create({url})
+        return { firefox: tab };
+      } else {
+        throw new Error('Unknown browser context. Cannot open Lattice connector.');
+      }
+    } catch (err) {
+      throw new LatticeKeyringError(
+        'Failed to open Lattice connector.',
+        { code: 'CONNECTOR_FAILED', cause: err }
+      );
+    }
+  }
+
+  async _findTabById(id) {
+    const tabs = await browser.tabs.query({});
+    return tabs.find((tab) => tab.id === id);
+  }
+}
+
+// Headless provider for Node and Electron contexts. The caller supplies the
+// `deviceID` directly and the keyring runs the SDK pairing handshake itself.
+// `getPairingCode({ deviceID, appName })` is called when pairing is needed
+// and must resolve to the code displayed on the Lattice screen.
+// If no `password` is given, a random one is generated. It only needs to be
+// stable for as long as this pairing should be used, so it should be
+// persisted (e.g. via the keyring's `serialize()`).
+class PairingCredentialProvider {
+  constructor (opts={}) {
+    if (!opts.deviceID) {
+      throw new InvalidArgumentError('`deviceID` is required for headless pairing.');
+    }
+    if (typeof opts.getPairingCode !== 'function') {
+      throw new InvalidArgumentError('`getPairingCode` callback is required for headless pairing.');
+    }
+    this.deviceID = opts.deviceID;
+    this.password = opts.password || crypto.randomBytes(16).toString('hex');
+    this.endpoint = opts.endpoint || null;
+    this.getPairingCode = opts.getPairingCode;
+  }
+
+  async getCredentials () {
+    return {
+      deviceID: this.deviceID,
+      password: this.password,
+      endpoint: this.endpoint,
+    };
+  }
+
+  async pair (client, { appName, signal }={}) {
+    throwIfAborted(signal);
+    const pairingCode = await raceAbort(this.getPairingCode({
+      deviceID: this.deviceID,
+      appName,
+      signal,
+    }), signal);
+    if (!pairingCode) {
+      throw new NotPairedError('No pairing code provided. Cannot pair with Lattice.');
+    }
+    return client.pair(pairingCode.toUpperCase());
+  }
+}
+
+function getLoginDataError (cause) {
+  return new LatticeKeyringError(
+    'Failed to get login data from Lattice. Please try again.',
+    { code: 'CONNECTOR_FAILED', cause }
+  );
+}
+
+module.exports = {
+  ConnectorCredentialProvider,
+  PairingCredentialProvider,
+};
@@ -0,0 +1,235 @@
+const SDK = require('gridplus-sdk');
+const rlp = require('rlp');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { InvalidArgumentError } = require('./errors');
+const { parsers, processors } = SDK.Calldata.EVM;
+
+// Sources of calldata decoders, in the order they are tried by default:
+// * `local`: ABIs registered for a chain and contract address
+// * `cache`: decoders previously fetched from remote sources
+// * `remote`: remote ABI sources (Etherscan et al. and 4byte.directory)
+//   via `SDK.Utils.fetchCalldataDecoder`
+// * `selectors`: the bundled (and any registered) function signatures
+// * `none`: stop looking; any sources listed after it are ignored
+const DECODER_SOURCES = [ 'local', 'cache', 'remote', 'selectors', 'none' ];
+const DEFAULT_ORDER = [ 'local', 'cache', 'remote', 'selectors' ];
+
+// Function signatures of common contract calls, so that they can be
+// decoded without any network requests.
+const BUNDLED_SIGNATURES = [
+  // ERC20
+  'transfer(address,uint256)',
+  'transferFrom(address,address,uint256)',
+  'approve(address,uint256)',
+  'increaseAllowance(address,uint256)',
+  'decreaseAllowance(address,uint256)',
+  'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)',
+  // ERC721 and ERC1155
+  'safeTransferFrom(address,address,uint256)',
+  'safeTransferFrom(address,address,uint256,bytes)',
+  'setApprovalForAll(address,bool)',
+  'safeTransferFrom(address,address,uint256,uint256,bytes)',
+  'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+  // WETH
+  'deposit()',
+  'withdraw(uint256)',
+  // Multicall
+  'multicall(bytes[])',
+  'multicall(uint256,bytes[])',
+  'aggregate((address,bytes)[])',
+  // Uniswap V2 router
+  'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)',
+  'swapTokensForExactTokens(uint256,uint256,address[],address,uint256)',
+  'swapExactETHForTokens(uint256,address[],address,uint256)',
+  'swapExactTokensForETH(uint256,uint256,address[],address,uint256)',
+  // Uniswap universal router
+  'execute(bytes,bytes[])',
+  'execute(bytes,bytes[],uint256)',
+];
+
+// Resolves calldata decoders for signing requests. Contract ABIs can be
+// registered per chain and address, and function signatures added to the
+// bundled selector table, so that transactions can be decoded offline.
+class DecoderRegistry {
+  constructor (opts={}) {
+    this.setOrder(opts.order || DEFAULT_ORDER);
+    // Set to `false` to never make network requests for decoders,
+    // regardless of `order`.
+    this.allowRemote = opts.allowRemote !== false;
+    this.abis = {};
+    this.signatures = {};
+    this.cache = {};
+    this.registerSignatures(BUNDLED_SIGNATURES);
+    if (opts.signatures) {
+      this.registerSignatures(opts.signatures);
+    }
+  }
+
+  setOrder (order) {
+    if (!Array.isArray(order) ||
+        order.some((source) => DECODER_SOURCES.indexOf(source) < 0)) {
+      throw new InvalidArgumentError(
+        `Decoder order must be a list of sources (${DECODER_SOURCES.join(', ')}).`
+      );
+    }
+    this.order = order.slice();
+  }
+
+  // Register the JSON ABI of the contract at `address` on `chainId`
+  registerAbi (chainId, address, abi) {
+    if (!Array.isArray(abi)) {
+      throw new InvalidArgumentError('ABI must be a JSON ABI array.');
+    }
+    const key = Number(chainId);
+    if (!this.abis[key]) {
+      this.abis[key] = {};
+    }
+    this.abis[key][address.toLowerCase()] = abi;
+  }
+
+  removeAbi (chainId, address) {
+    const abis = this.abis[Number(chainId)];
+    if (abis) {
+      delete abis[address.toLowerCase()];
+    }
+  }
+
+  // Add function signatures, e.g. `transfer(address,uint256)`, to the
+  // selector table.
+  registerSignatures (signatures) {
+    signatures.forEach((signature) => {
+      const selector = Buffer.from(keccak256(Buffer.from(signature))).slice(0, 4).toString('hex');
+      if (!this.signatures[selector]) {
+        this.signatures[selector] = [];
+      }
+      if (this.signatures[selector].indexOf(signature) < 0) {
+        this.signatures[selector].push(signature);
+      }
+    });
+  }
+
+  clearCache () {
+    this.cache = {};
+  }
+
+  // Get the RLP-encoded decoder definition for a contract call, or `null`
+  // if none could be found. If `recurse` is set, definitions of nested
+  // calls (e.g. in a multicall) are included.
+  async getDecoder (data, to, chainId, { recurse=true }={}) {
+    const calldata = toBuffer(data);
+    if (!calldata || calldata.length < 4) {
+      return null;
+    }
+    const selector = calldata.slice(0, 4).toString('hex');
+    chainId = Number(chainId);
+    for (const source of this.order) {
+      let def = null;
+      if (source === 'none') {
+        break;
+      } else if (source === 'local') {
+        def = this._getAbiDef(chainId, to, selector);
+      } else if (source === 'selectors') {
+        def = this._getSignatureDef(selector);
+      } else if (source === 'cache') {
+        const cached = this.cache[getCacheKey(calldata, to, chainId, recurse)];
+        if (cached) {
+          return cached;
+        }
+      } else if (source === 'remote' && this.allowRemote) {
+        const remote = await SDK.Utils.fetchCalldataDecoder(calldata, to, chainId, recurse);
+        if (remote && remote.def) {
+          this.cache[getCacheKey(calldata, to, chainId, recurse)] = remote.def;
+          return remote.def;
+        }
+      }
+      if (def) {
+        if (recurse) {
+          def = this._addNestedDefs(def, calldata);
+        }
+        return Buffer.from(rlp.encode(def));
+      }
+    }
+    return null;
+  }
+
+  _getAbiDef (chainId, to, selector) {
+    const abi = to && this.abis[chainId] && this.abis[chainId][to.toLowerCase()];
+    if (!abi) {
+      return null;
+    }
+    try {
+      return parsers.parseSolidityJSONABI(selector, abi).def;
+    } catch (err) {
+      // The ABI does not include this function
+      return null;
+    }
+  }
+
+  _getSignatureDef (selector) {
+    const signatures = this.signatures[selector] || [];
+    for (const signature of signatures) {
+      try {
+        const def = parsers.parseCanonicalName(selector, signature);
+        if (def) {
+          return def;
+        }
+      } catch (err) {
+        // Try the next signature
+      }
+    }
+    return null;
+  }
+
+  // Replace `bytes` params which contain nested calls with their definitions,
+  // mirroring what the SDK does for remote lookups. Nested calls may target
+  // any contract, so only the selector table is used to decode them.
+  _addNestedDefs (def, calldata) {
+    let nestedCalldata;
+    try {
+      nestedCalldata = processors.getNestedCalldata(def, calldata);
+    } catch (err) {
+      return def;
+    }
+    const getNestedDef = (hex) => {
+      const nestedDef = this._getSignatureDef(hex.slice(2, 10));
+      return nestedDef ?
+             this._addNestedDefs(nestedDef, Buffer.from(hex.slice(2), 'hex')) :
+             null;
+    };
+    const nestedDefs = nestedCalldata.map((nested) => {
+      if (nested === null) {
+        return null;
+      } else if (Array.isArray(nested)) {
+        // Arrays of calls are only decoded if every item can be
+        const defs = nested.map(getNestedDef);
+        return defs.every((d) => d !== null) ? defs : null;
+      }
+      return getNestedDef(nested);
+    });
+    return processors.replaceNestedDefs(def, nestedDefs);
+  }
+}
+
+// Nested definitions depend on the full calldata, so recursive lookups are
+// cached per calldata rather than per selector.
+function getCacheKey (calldata, to, chainId, recurse) {
+  const target = (to || '').toLowerCase();
+  const id = recurse ?
+             Buffer.from(keccak256(calldata)).toString('hex') :
+             calldata.slice(0, 4).toString('hex');
+  return `${chainId}:${target}:${recurse ? 'r' : ''}${id}`;
+}
+
+function toBuffer (data) {
+  if (!data) {
+    return null;
+  } else if (typeof data === 'string') {
+    return Buffer.from(data.slice(0, 2) === '0x' ? data.slice(2) : data, 'hex');
+  }
+  return Buffer.from(data);
+}
+
+module.exports = {
+  DecoderRegistry,
+  DECODER_SOURCES,
+};
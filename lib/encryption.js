@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { scrypt } = require('ethereum-cryptography/scrypt');
+const { LatticeKeyringError, InvalidArgumentError } = require('./errors');
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+// Default scrypt parameters for passphrases
+const SCRYPT_PARAMS = { n: 2 ** 15, r: 8, p: 1 };
+
+// Encrypts and decrypts the sensitive parts of the keyring's serialized
+// state with AES-256-GCM. The secret may be a passphrase (string), from
+// which a key is derived with scrypt, or a raw 32 byte key. The cipher and
+// KDF parameters are stored alongside the ciphertext:
+// `{ cipher, kdf: { name, salt, n, r, p }, iv, tag, ciphertext }`.
+class StateEncryptor {
+  constructor (secret) {
+    if (typeof secret === 'string' && secret.length > 0) {
+      this.passphrase = Buffer.from(secret, 'utf8');
+    } else if ((Buffer.isBuffer(secret) || secret instanceof Uint8Array) &&
+               secret.length === KEY_LENGTH) {
+      this.key = Buffer.from(secret);
+    } else {
+      throw new InvalidArgumentError(
+        'Encryption key must be a passphrase or a 32 byte key.'
+      );
+    }
+    // Key derived from the passphrase and the KDF params used, cached so
+    // that repeated serialization does not re-run the KDF.
+    this._derived = null;
+  }
+
+  async encrypt (data) {
+    const { key, kdf } = await this._getKey();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(Buffer.from(JSON.stringify(data), 'utf8')),
+      cipher.final(),
+    ]);
+    return {
+      cipher: CIPHER,
+      kdf,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    };
+  }
+
+  async decrypt (encrypted) {
+    if (!encrypted || encrypted.cipher !== CIPHER || !encrypted.kdf) {
+      throw new LatticeKeyringError(
+        'Unsupported encrypted state format.',
+        { code: 'DECRYPTION_FAILED' }
+      );
+    }
+    const { key } = await this._getKey(encrypted.kdf);
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(encrypted.ciphertext, 'hex')),
+        decipher.final(),
+      ]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (err) {
+      throw new LatticeKeyringError(
+        'Failed to decrypt keyring state. Wrong encryption key?',
+        { code: 'DECRYPTION_FAILED', cause: err }
+      );
+    }
+  }
+
+  // Get the encryption key. If `kdf` params are given (i.e. to decrypt),
+  // the key is derived with those. Otherwise the cached key is used, or a
+  // new one derived with a fresh salt.
+  async _getKey (kdf) {
+    if (this.key) {
+      if (kdf && kdf.name !== 'none') {
+        throw new LatticeKeyringError(
+          'Keyring state was encrypted with a passphrase, but a raw key was given.',
+          { code: 'DECRYPTION_FAILED' }
+        );
+      }
+      return { key: this.key, kdf: { name: 'none' } };
+    }
+    if (kdf && kdf.name !== 'scrypt') {
+      throw new LatticeKeyringError(
+        `Unsupported key derivation function: ${kdf.name}.`,
+        { code: 'DECRYPTION_FAILED' }
+      );
+    }
+    if (this._derived && (!kdf || isSameKdf(kdf, this._derived.kdf))) {
+      return this._derived;
+    }
+    if (!kdf) {
+      kdf = Object.assign({ name: 'scrypt', salt: crypto.randomBytes(16).toString('hex') }, SCRYPT_PARAMS);
+    }
+    const key = Buffer.from(await scrypt(
+      this.passphrase,
+      Buffer.from(kdf.salt, 'hex'),
+      kdf.n,
+      kdf.p,
+      kdf.r,
+      KEY_LENGTH
+    ));
+    this._derived = { key, kdf };
+    return this._derived;
+  }
+}
+
+function isSameKdf (a, b) {
+  return a.name === b.name && a.salt === b.salt &&
+         a.n === b.n && a.r === b.r && a.p === b.p;
+}
+
+module.exports = {
+  StateEncryptor,
+};
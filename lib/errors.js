@@ -0,0 +1,238 @@
+// Base class for errors thrown by the keyring. Every error carries a stable
+// `code` which callers can switch on instead of matching messages. If the
+// error was caused by another one (e.g. from the SDK), it is kept as `cause`.
+class LatticeKeyringError extends Error {
+  constructor (message, opts={}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = opts.code || 'LATTICE_KEYRING_ERROR';
+    if (opts.cause) {
+      this.cause = opts.cause;
+    }
+  }
+}
+
+// The signature returned by the Lattice does not recover to the requested
+// signer address.
+class SignatureMismatchError extends LatticeKeyringError {
+  constructor (expected, recovered) {
+    super(
+      `Signature returned by Lattice does not match the requested signer ` +
+      `(expected ${expected}, recovered ${recovered}).`,
+      { code: 'SIGNATURE_MISMATCH' }
+    );
+    this.expected = expected;
+    this.recovered = recovered;
+  }
+}
+
+// The connected Lattice's firmware does not support the request
+class FirmwareUnsupportedError extends LatticeKeyringError {
+  constructor (message='Please update Lattice firmware.', opts={}) {
+    super(message, Object.assign({}, opts, { code: 'LATTICE_FIRMWARE_UNSUPPORTED' }));
+  }
+}
+
+// The signer belongs to a wallet other than the one active on the Lattice,
+// e.g. the user switched between the internal wallet and a SafeCard.
+class WrongActiveWalletError extends LatticeKeyringError {
+  constructor (message, opts={}) {
+    super(
+      message ||
+      'Wrong account. Please change your Lattice wallet or ' +
+      'switch to an account on your current active wallet.',
+      Object.assign({}, opts, { code: 'WRONG_ACTIVE_WALLET' })
+    );
+  }
+}
+
+// The requested signer is not one of the keyring's accounts
+class SignerNotFoundError extends LatticeKeyringError {
+  constructor (address, opts={}) {
+    super(
+      `Signer ${address} not present in keyring.`,
+      Object.assign({}, opts, { code: 'SIGNER_NOT_FOUND' })
+    );
+    this.address = address;
+  }
+}
+
+// The user closed the Lattice connector before credentials were returned
+class ConnectorClosedError extends LatticeKeyringError {
+  constructor (message='Lattice connector closed.', opts={}) {
+    super(message, Object.assign({}, opts, { code: 'CONNECTOR_CLOSED' }));
+  }
+}
+
+// The Lattice (or the user) did not respond in time
+class DeviceTimeoutError extends LatticeKeyringError {
+  constructor (message='Timed out waiting for Lattice.', opts={}) {
+    super(message, Object.assign({}, opts, { code: 'DEVICE_TIMEOUT' }));
+  }
+}
+
+// The caller aborted the request (via an `AbortSignal`)
+class RequestCancelledError extends LatticeKeyringError {
+  constructor (message='Request cancelled.', opts={}) {
+    super(message, Object.assign({}, opts, { code: 'REQUEST_CANCELLED' }));
+  }
+}
+
+// The user declined the request on the Lattice
+class UserRejectedError extends LatticeKeyringError {
+  constructor (message='Request declined by user.', opts={}) {
+    super(message, Object.assign({}, opts, { code: 'USER_REJECTED' }));
+  }
+}
+
+// The keyring has not been paired with the Lattice, or pairing failed
+class NotPairedError extends LatticeKeyringError {
+  constructor (message='Not paired with Lattice.', opts={}) {
+    super(message, Object.assign({}, opts, { code: 'NOT_PAIRED' }));
+  }
+}
+
+// The Lattice has no active wallet, e.g. it is locked or has a SafeCard
+// inserted which has not been unlocked.
+class DeviceLockedError extends LatticeKeyringError {
+  constructor (message='No active wallet in Lattice.', opts={}) {
+    super(message, Object.assign({}, opts, { code: 'DEVICE_LOCKED' }));
+  }
+}
+
+// The Lattice returned an unexpected or malformed response
+class InvalidResponseError extends LatticeKeyringError {
+  constructor (message, opts={}) {
+    super(message, Object.assign({}, opts, { code: 'INVALID_DEVICE_RESPONSE' }));
+  }
+}
+
+// The caller passed invalid arguments
+class InvalidArgumentError extends LatticeKeyringError {
+  constructor (message, opts={}) {
+    super(message, Object.assign({}, opts, { code: 'INVALID_ARGUMENT' }));
+  }
+}
+
+// Serialized keyring state is inconsistent or unsupported. `report` is the
+// validation report (see `lib/serialization`).
+class InvalidStateError extends LatticeKeyringError {
+  constructor (report, opts={}) {
+    const problems = report.issues.map((issue) => {
+      const where = issue.index !== undefined ? `${issue.field}[${issue.index}]` : issue.field;
+      return `${where}: ${issue.problem}`;
+    });
+    super(
+      `Invalid serialized keyring state. ${problems.join(' ')}`,
+      Object.assign({}, opts, { code: 'INVALID_SERIALIZED_STATE' })
+    );
+    this.report = report;
+  }
+}
+
+// A signing request was rejected by the keyring's policy before being sent
+// to the Lattice. `report` is the policy report (see `lib/policy`).
+class PolicyViolationError extends LatticeKeyringError {
+  constructor (report, opts={}) {
+    const violations = report.results.filter((result) => !result.passed);
+    super(
+      `Request rejected by policy. ${violations.map((v) => `${v.rule}: ${v.message}`).join(' ')}`,
+      Object.assign({}, opts, { code: 'POLICY_VIOLATION' })
+    );
+    this.report = report;
+  }
+}
+
+// Lattice response codes (see `gridplus-sdk` protocol constants)
+const RESPONSE_CODES = {
+  deviceBusy: 130,
+  userTimeout: 131,
+  userDeclined: 132,
+  pairFailed: 133,
+  gceTimeout: 137,
+  wrongWallet: 138,
+  deviceLocked: 139,
+};
+
+// Convert an error thrown by the SDK (or anything else) to a keyring error.
+// Keyring errors are returned as-is; others are wrapped as the `cause`.
+function toKeyringError (err) {
+  if (err instanceof LatticeKeyringError) {
+    return err;
+  }
+  const cause = err instanceof Error ? err : new Error(String(err));
+  const message = cause.message;
+  const opts = { cause };
+  switch (cause.responseCode) {
+    case RESPONSE_CODES.userDeclined:
+      return new UserRejectedError(undefined, opts);
+    case RESPONSE_CODES.userTimeout:
+    case RESPONSE_CODES.gceTimeout:
+      return new DeviceTimeoutError(undefined, opts);
+    case RESPONSE_CODES.wrongWallet:
+      return new WrongActiveWalletError(undefined, opts);
+    case RESPONSE_CODES.pairFailed:
+      return new NotPairedError('Failed to pair with Lattice.', opts);
+    case RESPONSE_CODES.deviceLocked:
+      return new DeviceLockedError(undefined, opts);
+    default:
+      break;
+  }
+  // Request timeouts are not reported with a response code. The SDK aborts
+  // requests which time out.
+  if (/timeout|operation was aborted/i.test(message)) {
+    return new DeviceTimeoutError(undefined, opts);
+  }
+  // The relay (routing) server responded with an HTTP error status
+  const relayStatus = /^Error code (\d{3})/.exec(message);
+  if (relayStatus) {
+    const error = new LatticeKeyringError(message, Object.assign(opts, { code: 'RELAY_ERROR' }));
+    error.status = Number(relayStatus[1]);
+    return error;
+  }
+  let code;
+  if (cause.responseCode === RESPONSE_CODES.deviceBusy) {
+    code = 'DEVICE_BUSY';
+  } else if (/^Failed to make request to device/.test(message)) {
+    code = 'RELAY_UNREACHABLE';
+  }
+  return new LatticeKeyringError(message, Object.assign(opts, { code }));
+}
+
+// Whether a request which failed with `err` may succeed if retried:
+// timeouts (other than the user not responding on the Lattice), a busy
+// device, an unreachable relay, or a relay server error (5xx).
+function isTransientError (err) {
+  const error = toKeyringError(err);
+  switch (error.code) {
+    case 'DEVICE_TIMEOUT':
+      return !error.cause || error.cause.responseCode !== RESPONSE_CODES.userTimeout;
+    case 'DEVICE_BUSY':
+    case 'RELAY_UNREACHABLE':
+      return true;
+    case 'RELAY_ERROR':
+      return error.status >= 500;
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  LatticeKeyringError,
+  SignatureMismatchError,
+  FirmwareUnsupportedError,
+  WrongActiveWalletError,
+  SignerNotFoundError,
+  ConnectorClosedError,
+  DeviceTimeoutError,
+  RequestCancelledError,
+  UserRejectedError,
+  NotPairedError,
+  DeviceLockedError,
+  InvalidResponseError,
+  InvalidArgumentError,
+  InvalidStateError,
+  PolicyViolationError,
+  toKeyringError,
+  isTransientError,
+};
@@ -0,0 +1,151 @@
+const { InvalidArgumentError } = require('./errors');
+const HARDENED_OFFSET = 0x80000000;
+// The Lattice supports derivation paths with up to 5 indices
+const MAX_PATH_DEPTH = 5;
+
+// Common HD path templates. `x` marks the account index.
+const HD_PATH_PRESETS = {
+  bip44: { label: 'BIP44 (standard)', hdPath: `m/44'/60'/0'/0/x` },
+  ledgerLive: { label: 'Ledger Live', hdPath: `m/44'/60'/x'/0/0` },
+  ledgerLegacy: { label: 'Ledger Legacy', hdPath: `m/44'/60'/0'/x` },
+  trezor: { label: 'Trezor', hdPath: `m/44'/60'/0'/0/x` },
+};
+
+// Parse an HD path template such as `m/44'/60'/0'/0/x`. Hardened segments
+// may be marked with `'` or `h`, and at most one segment may be the account
+// index placeholder `x`. Returns `{ segments, varIdx }`, where each segment
+// is `{ index, hardened }` (`index` is `null` for the placeholder) and
+// `varIdx` is the position of the placeholder (or -1 if there is none).
+// Without `template`, the path must be a full path with no placeholder.
+function parseHdPath (hdPath, { template=true }={}) {
+  if (typeof hdPath !== 'string') {
+    throw new InvalidArgumentError('HD path must be a string.');
+  }
+  const parts = hdPath.trim().split('/');
+  if (parts[0] !== 'm') {
+    throw new InvalidArgumentError(`Invalid HD path "${hdPath}": must start with "m/".`);
+  }
+  const segments = [];
+  let varIdx = -1;
+  parts.slice(1).forEach((part, i) => {
+    const match = /^(\d+|x)(['hH]?)$/.exec(part);
+    if (!match) {
+      throw new InvalidArgumentError(
+        `Invalid HD path "${hdPath}": segment ${i + 1} ("${part}") must be a ` +
+        `number or "x", optionally followed by "'" or "h" if hardened.`
+      );
+    }
+    const hardened = match[2] !== '';
+    if (match[1] === 'x') {
+      if (!template) {
+        throw new InvalidArgumentError(
+          `Invalid HD path "${hdPath}": the account index placeholder "x" is not allowed here.`
+        );
+      }
+      if (varIdx > -1) {
+        throw new InvalidArgumentError(
+          `Invalid HD path "${hdPath}": only one segment may be "x".`
+        );
+      }
+      varIdx = i;
+      segments.push({ index: null, hardened });
+      return;
+    }
+    const index = Number(match[1]);
+    if (index >= HARDENED_OFFSET) {
+      throw new InvalidArgumentError(
+        `Invalid HD path "${hdPath}": segment ${i + 1} ("${part}") is out of range.`
+      );
+    }
+    segments.push({ index, hardened });
+  });
+  // If a template has no placeholder, the account index gets appended
+  const depth = segments.length + (template && varIdx < 0 ? 1 : 0);
+  if (depth < 1 || depth > MAX_PATH_DEPTH) {
+    throw new InvalidArgumentError(
+      `Invalid HD path "${hdPath}": only HD paths with 1-${MAX_PATH_DEPTH} indices are allowed.`
+    );
+  }
+  return { segments, varIdx };
+}
+
+// Get the canonical form of an HD path template (with `'` hardened markers)
+function normalizeHdPath (hdPath) {
+  const { segments } = parseHdPath(hdPath);
+  const parts = segments.map(({ index, hardened }) => {
+    return `${index === null ? 'x' : index}${hardened ? "'" : ''}`;
+  });
+  return [ 'm' ].concat(parts).join('/');
+}
+
+// Get the HD path template for a preset name or a path template
+function resolveHdPath (pathOrPreset) {
+  if (HD_PATH_PRESETS[pathOrPreset]) {
+    return HD_PATH_PRESETS[pathOrPreset].hdPath;
+  }
+  return normalizeHdPath(pathOrPreset);
+}
+
+// Get the derivation path indices for the account at `insertIdx`. The
+// index replaces the `x` placeholder or, if there is none, is appended.
+function getHdPathIndices (hdPath, insertIdx=0) {
+  const { segments, varIdx } = parseHdPath(hdPath);
+  const indices = segments.map(({ index, hardened }) => {
+    return (hardened ? HARDENED_OFFSET : 0) + (index === null ? insertIdx : index);
+  });
+  if (varIdx < 0) {
+    indices.push(insertIdx);
+  }
+  return indices;
+}
+
+// Get the derivation path indices of a full path, given either as a string
+// (e.g. `m/44'/501'/0'/0'`) or as an array of indices.
+function getSignerPathIndices (signerPath) {
+  if (Array.isArray(signerPath)) {
+    const valid = signerPath.length > 0 && signerPath.length <= MAX_PATH_DEPTH &&
+                  signerPath.every((idx) => Number.isInteger(idx) && idx >= 0 && idx < 2 * HARDENED_OFFSET);
+    if (!valid) {
+      throw new InvalidArgumentError(
+        `Signer path must have 1-${MAX_PATH_DEPTH} indices, each a 32 bit unsigned integer.`
+      );
+    }
+    return signerPath.slice();
+  }
+  const { segments } = parseHdPath(signerPath, { template: false });
+  return segments.map(({ index, hardened }) => (hardened ? HARDENED_OFFSET : 0) + index);
+}
+
+// Format derivation path indices as a path string, e.g. `m/44'/60'/0'/0/0`
+function formatHdPath (indices) {
+  const parts = indices.map((idx) => {
+    return idx >= HARDENED_OFFSET ? `${idx - HARDENED_OFFSET}'` : `${idx}`;
+  });
+  return [ 'm' ].concat(parts).join('/');
+}
+
+// Whether the account index is not the last index of the path (e.g. Ledger
+// Live paths). Addresses for such paths cannot be fetched in ranges.
+function hdPathHasInternalVarIdx (hdPath) {
+  const { segments, varIdx } = parseHdPath(hdPath);
+  return varIdx > -1 && varIdx < segments.length - 1;
+}
+
+function getHdPathPresets () {
+  return Object.keys(HD_PATH_PRESETS).map((name) => {
+    return Object.assign({ name }, HD_PATH_PRESETS[name]);
+  });
+}
+
+module.exports = {
+  HARDENED_OFFSET,
+  HD_PATH_PRESETS,
+  parseHdPath,
+  normalizeHdPath,
+  resolveHdPath,
+  getHdPathIndices,
+  getSignerPathIndices,
+  formatHdPath,
+  hdPathHasInternalVarIdx,
+  getHdPathPresets,
+};
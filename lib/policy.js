@@ -0,0 +1,311 @@
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { InvalidArgumentError } = require('./errors');
+const { toBigInt } = require('./signatures');
+// Canonical Permit2 deployment (the same on every chain)
+const PERMIT2_ADDRESS = '0x000000000022d473030f116ddee9f6b43ac78ba3';
+// Approvals of at least 2^255 are treated as unlimited. Most apps approve
+// `type(uint256).max`, but some use other very large values.
+const UNLIMITED_APPROVAL = 1n << 255n;
+const SELECTORS = {
+  transfer: selector('transfer(address,uint256)'),
+  transferFrom: selector('transferFrom(address,address,uint256)'),
+  approve: selector('approve(address,uint256)'),
+  increaseAllowance: selector('increaseAllowance(address,uint256)'),
+};
+// Requests whose effects the built-in rules can not check, by type
+const OPAQUE_REQUESTS = {
+  raw: 'Raw payloads',
+};
+
+// Built-in rules, each enabled by the policy option of the same name:
+// * `allowedChainIds`: chain IDs which transactions, EIP7702 authorizations
+//   and typed data with a `chainId` in its domain may target
+// * `maxValue`: max value (wei) of a transaction. May be a map of chain ID
+//   to cap, in which case chains without a cap are not limited.
+// * `allowedRecipients` / `deniedRecipients`: addresses which may (or may
+//   not) receive ETH or ERC20 token transfers
+// * `allowedContracts` / `deniedContracts`: contracts which may (or may not)
+//   be called, or be delegated to by EIP7702 authorizations. Contract
+//   deployments are not allowed with an allowlist.
+// * `blockUnlimitedApprovals`: reject ERC20 approvals of unlimited amounts
+// * `blockPermits`: reject EIP712 permits (including Permit2) unless their
+//   domain matches one of `allowedPermitDomains`, each of the form
+//   `{ name, chainId, verifyingContract }` (omitted fields match anything)
+const BUILTIN_RULES = {
+  allowedChainIds (allowed) {
+    const chainIds = allowed.map(Number);
+    return (request) => {
+      const chainId = getChainId(request);
+      if (request.type === 'transaction' && chainId === null) {
+        return 'Transactions without a chain ID are not allowed.';
+      } else if (request.type === 'authorization' && chainId === 0) {
+        return 'Authorizations for every chain (chain ID 0) are not allowed.';
+      } else if (chainId !== null && chainIds.indexOf(chainId) < 0) {
+        return `Chain ID ${chainId} is not allowed.`;
+      }
+    };
+  },
+  maxValue (maxValue) {
+    const caps = {};
+    if (maxValue && typeof maxValue === 'object' && !Buffer.isBuffer(maxValue)) {
+      Object.keys(maxValue).forEach((chainId) => {
+        caps[Number(chainId)] = toAmount(maxValue[chainId], 'maxValue');
+      });
+    }
+    const cap = Object.keys(caps).length > 0 ? null : toAmount(maxValue, 'maxValue');
+    return (request) => {
+      if (request.type !== 'transaction') {
+        return;
+      }
+      const max = cap !== null ? cap : caps[request.chainId];
+      if (max !== undefined && request.value > max) {
+        return `Transaction value of ${request.value} wei exceeds the cap of ${max} wei.`;
+      }
+    };
+  },
+  allowedRecipients (allowed) {
+    const addresses = toAddressList(allowed, 'allowedRecipients');
+    return (request) => {
+      const recipient = getRecipient(request);
+      if (recipient && addresses.indexOf(recipient) < 0) {
+        return `Recipient ${recipient} is not allowed.`;
+      }
+    };
+  },
+  deniedRecipients (denied) {
+    const addresses = toAddressList(denied, 'deniedRecipients');
+    return (request) => {
+      const recipient = getRecipient(request);
+      if (recipient && addresses.indexOf(recipient) > -1) {
+        return `Recipient ${recipient} is denied.`;
+      }
+    };
+  },
+  allowedContracts (allowed) {
+    const addresses = toAddressList(allowed, 'allowedContracts');
+    return (request) => {
+      const contract = getContract(request);
+      if (!isContractCall(request)) {
+        return;
+      } else if (!contract) {
+        return 'Contract deployments are not allowed.';
+      } else if (addresses.indexOf(contract) < 0) {
+        return `Contract ${contract} is not allowed.`;
+      }
+    };
+  },
+  deniedContracts (denied) {
+    const addresses = toAddressList(denied, 'deniedContracts');
+    return (request) => {
+      const contract = getContract(request);
+      if (isContractCall(request) && contract && addresses.indexOf(contract) > -1) {
+        return `Contract ${contract} is denied.`;
+      }
+    };
+  },
+  blockUnlimitedApprovals (enabled) {
+    return (request) => {
+      if (!enabled || !isContractCall(request)) {
+        return;
+      }
+      const method = getMethod(request.data);
+      if (method !== 'approve' && method !== 'increaseAllowance') {
+        return;
+      }
+      const amount = getWord(request.data, 1);
+      if (amount !== null && toBigInt(amount) >= UNLIMITED_APPROVAL) {
+        const spender = toAddress(getWord(request.data, 0));
+        return `Unlimited token approval for ${spender} is not allowed.`;
+      }
+    };
+  },
+  blockPermits (enabled, opts) {
+    const allowedDomains = (opts.allowedPermitDomains || []).map((domain) => {
+      return {
+        name: domain.name,
+        chainId: isNil(domain.chainId) ? undefined : Number(domain.chainId),
+        verifyingContract: isNil(domain.verifyingContract) ?
+                           undefined :
+                           toAddressList([ domain.verifyingContract ], 'allowedPermitDomains')[0],
+      };
+    });
+    return (request) => {
+      if (!enabled || !isPermit(request)) {
+        return;
+      }
+      const domain = request.typedData.domain || {};
+      const allowed = allowedDomains.some((allowedDomain) => {
+        return (allowedDomain.name === undefined || allowedDomain.name === domain.name) &&
+               (allowedDomain.chainId === undefined || allowedDomain.chainId === Number(domain.chainId)) &&
+               (allowedDomain.verifyingContract === undefined ||
+                allowedDomain.verifyingContract === String(domain.verifyingContract).toLowerCase());
+      });
+      if (!allowed) {
+        return `Permit for domain "${domain.name || domain.verifyingContract}" is not allowlisted.`;
+      }
+    };
+  },
+};
+
+// Checks signing requests against a set of rules before they are sent to
+// the Lattice. Each rule is `{ name, check }`, where `check(request)` returns
+// (or resolves to) nothing if the request passes, or a message describing
+// the violation. Requests are plain objects:
+// * `{ type: 'transaction', address, chainId, to, value, data, tx }`
+// * `{ type: 'message', address, protocol, payload, typedData }`
+// * `{ type: 'authorization', address, chainId, contract, nonce }`
+// * `{ type: 'raw', address, signerPath, curve, hash, encoding, payload }`
+// EVM encoded raw payloads are decoded into transaction requests, with a
+// null `tx` (and `chainId`, for legacy transactions without EIP155). Other
+// raw payloads are rejected while any rule is active,
+// unless `allowOpaqueRequests` is set, as the built-in rules can not tell
+// what they do. In `dryRun` mode violations are reported but requests are
+// not blocked.
+class PolicyEngine {
+  constructor (opts={}) {
+    this.dryRun = opts.dryRun === true;
+    this.allowOpaqueRequests = opts.allowOpaqueRequests === true;
+    this.rules = [];
+    Object.keys(BUILTIN_RULES).forEach((name) => {
+      if (!isNil(opts[name]) && opts[name] !== false) {
+        this.addRule({ name, check: BUILTIN_RULES[name](opts[name], opts) });
+      }
+    });
+    (opts.rules || []).forEach((rule) => this.addRule(rule));
+  }
+
+  addRule (rule) {
+    if (!rule || typeof rule.name !== 'string' || typeof rule.check !== 'function') {
+      throw new InvalidArgumentError('Policy rules must be of the form `{ name, check }`.');
+    }
+    this.removeRule(rule.name);
+    this.rules.push(rule);
+  }
+
+  removeRule (name) {
+    this.rules = this.rules.filter((rule) => rule.name !== name);
+  }
+
+  // Run every rule against `request`. Resolves to a report of the form
+  // `{ allowed, dryRun, results }`, with one `{ rule, passed, message }`
+  // result per rule. Rules which throw are treated as violations.
+  async evaluate (request) {
+    const results = [];
+    if (OPAQUE_REQUESTS[request.type] && this.rules.length > 0 && !this.allowOpaqueRequests) {
+      results.push({
+        rule: 'allowOpaqueRequests',
+        passed: false,
+        message: `${OPAQUE_REQUESTS[request.type]} can not be checked against the policy.`,
+      });
+    }
+    for (const rule of this.rules) {
+      let message;
+      try {
+        message = await rule.check(request);
+      } catch (err) {
+        message = `Policy check failed: ${err.message}`;
+      }
+      results.push({ rule: rule.name, passed: !message, message: message || null });
+    }
+    return {
+      allowed: results.every((result) => result.passed),
+      dryRun: this.dryRun,
+      results,
+    };
+  }
+}
+
+function selector (signature) {
+  return Buffer.from(keccak256(Buffer.from(signature))).slice(0, 4).toString('hex');
+}
+
+function getMethod (data) {
+  if (!data || data.length < 4) {
+    return null;
+  }
+  const sel = data.slice(0, 4).toString('hex');
+  return Object.keys(SELECTORS).find((method) => SELECTORS[method] === sel) || null;
+}
+
+// Get the `i`th 32 byte ABI word of the call arguments
+function getWord (data, i) {
+  const start = 4 + 32 * i;
+  return data.length >= start + 32 ? data.slice(start, start + 32) : null;
+}
+
+function toAddress (word) {
+  return word ? `0x${word.slice(12).toString('hex')}` : null;
+}
+
+function isContractCall (request) {
+  return request.type === 'authorization' ||
+         (request.type === 'transaction' && (request.data.length > 0 || !request.to));
+}
+
+// The contract a transaction calls, or an authorization delegates to
+function getContract (request) {
+  return request.type === 'authorization' ? request.contract : request.to;
+}
+
+// The recipient of a transaction's value: the target of a plain transfer,
+// or the recipient of an ERC20 `transfer` / `transferFrom` call.
+function getRecipient (request) {
+  if (request.type !== 'transaction') {
+    return null;
+  } else if (request.data.length === 0) {
+    return request.to;
+  }
+  const method = getMethod(request.data);
+  if (method === 'transfer') {
+    return toAddress(getWord(request.data, 0));
+  } else if (method === 'transferFrom') {
+    return toAddress(getWord(request.data, 1));
+  }
+  return null;
+}
+
+function getChainId (request) {
+  if (request.type === 'transaction' || request.type === 'authorization') {
+    return request.chainId;
+  }
+  const domain = request.typedData && request.typedData.domain;
+  return domain && !isNil(domain.chainId) ? Number(domain.chainId) : null;
+}
+
+function isPermit (request) {
+  const typedData = request.typedData;
+  if (!typedData) {
+    return false;
+  }
+  const domain = typedData.domain || {};
+  return /^Permit/.test(typedData.primaryType || '') ||
+         String(domain.verifyingContract).toLowerCase() === PERMIT2_ADDRESS;
+}
+
+// Amounts may be numbers, BigInts, hex strings or decimal strings
+function toAmount (value, option) {
+  try {
+    if (typeof value === 'string' && value.slice(0, 2) !== '0x') {
+      return BigInt(value);
+    }
+    return toBigInt(value);
+  } catch (err) {
+    throw new InvalidArgumentError(`Invalid policy option \`${option}\`: must be an amount in wei.`);
+  }
+}
+
+function toAddressList (addresses, option) {
+  if (!Array.isArray(addresses) ||
+      addresses.some((address) => !/^0x[0-9a-fA-F]{40}$/.test(address))) {
+    throw new InvalidArgumentError(`Invalid policy option \`${option}\`: must be a list of addresses.`);
+  }
+  return addresses.map((address) => address.toLowerCase());
+}
+
+function isNil (x) {
+  return x === undefined || x === null;
+}
+
+module.exports = {
+  PolicyEngine,
+};
@@ -0,0 +1,64 @@
+const { throwIfAborted, raceAbort } = require('./abort');
+
+// Runs asynchronous operations one at a time, in the order they were
+// requested. The keyring uses this to make sure only one request is ever in
+// flight with the Lattice.
+class OperationQueue {
+  constructor () {
+    this._tail = Promise.resolve();
+    this._active = null;
+    this._waiting = [];
+  }
+
+  // Queue `fn` to run once all previously queued operations have settled.
+  // Resolves or rejects with the outcome of `fn`. If `signal` aborts, the
+  // returned promise rejects right away with a `RequestCancelledError`.
+  // A waiting operation is then dropped from the queue, while a running
+  // one keeps its slot until `fn` settles (which it should do promptly
+  // once it sees the aborted signal).
+  run (name, fn, { signal }={}) {
+    try {
+      throwIfAborted(signal);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    const op = { name, queuedAt: Date.now(), startedAt: null };
+    this._waiting.push(op);
+    const result = this._tail.then(() => {
+      this._removeWaiting(op);
+      throwIfAborted(signal);
+      op.startedAt = Date.now();
+      this._active = op;
+      return fn();
+    })
+    .finally(() => {
+      if (this._active === op) {
+        this._active = null;
+      }
+    });
+    // A failed operation should not block the ones queued after it
+    this._tail = result.catch(() => {});
+    return raceAbort(result, signal, () => this._removeWaiting(op));
+  }
+
+  _removeWaiting (op) {
+    const idx = this._waiting.indexOf(op);
+    if (idx > -1) {
+      this._waiting.splice(idx, 1);
+    }
+  }
+
+  // The operation currently being run, if any
+  getActive () {
+    return this._active ? Object.assign({}, this._active) : null;
+  }
+
+  // Operations waiting for the active one to finish, in order
+  getWaiting () {
+    return this._waiting.map((op) => Object.assign({}, op));
+  }
+}
+
+module.exports = {
+  OperationQueue,
+};
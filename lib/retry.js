@@ -0,0 +1,61 @@
+const { InvalidArgumentError, isTransientError } = require('./errors');
+const { throwIfAborted, delay } = require('./abort');
+// Retry policy for requests to the Lattice. Failed requests are retried up
+// to `retries` times, waiting `minDelay * factor^n` ms (at most `maxDelay`)
+// before the nth retry.
+const DEFAULT_RETRY_POLICY = {
+  retries: 2,
+  minDelay: 1000,
+  maxDelay: 8000,
+  factor: 2,
+};
+
+// Get a full retry policy from options. `false` disables retries.
+function toRetryPolicy (opts) {
+  if (opts === false) {
+    return Object.assign({}, DEFAULT_RETRY_POLICY, { retries: 0 });
+  }
+  const policy = Object.assign({}, DEFAULT_RETRY_POLICY, opts);
+  const valid = [ 'retries', 'minDelay', 'maxDelay', 'factor' ].every((key) => {
+    return Number.isFinite(policy[key]) && policy[key] >= 0;
+  });
+  if (!valid) {
+    throw new InvalidArgumentError(
+      'Retry policy options (`retries`, `minDelay`, `maxDelay`, `factor`) must be non-negative numbers.'
+    );
+  }
+  return policy;
+}
+
+function getRetryDelay (policy, attempt) {
+  return Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+}
+
+// Run `fn`, retrying it according to `policy` if it fails with a transient
+// error (see `isTransientError`). Other errors are thrown immediately.
+// `onRetry({ attempt, delay, error })` is called before each retry. If
+// `signal` aborts, no further attempts are made.
+async function withRetry (fn, policy, { onRetry, signal }={}) {
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal);
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= policy.retries || !isTransientError(err)) {
+        throw err;
+      }
+      const wait = getRetryDelay(policy, attempt);
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, delay: wait, error: err });
+      }
+      await delay(wait, signal);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  toRetryPolicy,
+  getRetryDelay,
+  withRetry,
+};
@@ -0,0 +1,172 @@
+// Versioning, migration and validation of the keyring's serialized state.
+// State without a `version` field predates versioning and is treated as
+// version 0. Each migration upgrades state by exactly one version.
+const STANDARD_HD_PATH = `m/44'/60'/0'/0/x`;
+const SERIALIZATION_VERSION = 2;
+const ACCOUNT_LISTS = [ 'accounts', 'accountIndices', 'accountOpts' ];
+
+const MIGRATIONS = [
+  // 0 -> 1
+  (state) => {
+    // `name` was replaced by the more descriptive `appName`
+    if (state.name && !state.appName) {
+      state.appName = state.name;
+    }
+    delete state.name;
+    // Old vaults tracked a single HD path and wallet for all accounts, and
+    // older ones did not track per-account options at all. Per-account
+    // options always had a wallet UID, so entries without one are left
+    // without it for `validateState` to report.
+    const hdPath = state.hdPath || STANDARD_HD_PATH;
+    const walletUID = uidToHex(state.walletUID);
+    if (Array.isArray(state.accounts) && !state.accountOpts) {
+      state.accountOpts = state.accounts.map(() => ({ walletUID }));
+    }
+    if (Array.isArray(state.accountOpts)) {
+      state.accountOpts = state.accountOpts.map((opts) => {
+        if (opts === undefined || opts === null) {
+          opts = {};
+        } else if (typeof opts !== 'object') {
+          return opts;
+        }
+        return Object.assign({}, opts, {
+          walletUID: uidToHex(opts.walletUID),
+          hdPath: opts.hdPath || hdPath,
+        });
+      });
+    }
+    return state;
+  },
+  // 1 -> 2
+  (state) => {
+    // Accounts were kept in three parallel lists (addresses, indices and
+    // options). They are now a single list of
+    // `{ address, walletUID, hdPath, index, label }` objects.
+    const lists = ACCOUNT_LISTS.map((field) => state[field]);
+    if (!lists.some(Array.isArray)) {
+      return state;
+    }
+    const [ accounts, accountIndices, accountOpts ] = lists.map((list) => Array.isArray(list) ? list : []);
+    const n = Math.max(accounts.length, accountIndices.length, accountOpts.length);
+    const migrated = [];
+    for (let i = 0; i < n; i++) {
+      const opts = accountOpts[i] && typeof accountOpts[i] === 'object' ? accountOpts[i] : {};
+      const account = {
+        address: accounts[i],
+        walletUID: opts.walletUID,
+        hdPath: opts.hdPath,
+        index: accountIndices[i],
+      };
+      if (opts.label) {
+        account.label = opts.label;
+      }
+      migrated.push(account);
+    }
+    state.accounts = migrated;
+    delete state.accountIndices;
+    delete state.accountOpts;
+    return state;
+  },
+];
+
+// Upgrade serialized state to the current version. Returns the migrated
+// copy of the state and the versions it was migrated through.
+function migrateState (opts) {
+  const state = Object.assign({}, opts);
+  const fromVersion = state.version || 0;
+  const migrated = [];
+  for (let version = fromVersion; version < SERIALIZATION_VERSION; version++) {
+    MIGRATIONS[version](state);
+    migrated.push(version + 1);
+  }
+  if (migrated.length > 0) {
+    state.version = SERIALIZATION_VERSION;
+  }
+  return { state, migrated };
+}
+
+// Check (migrated) state for inconsistencies. Returns a report of the form
+// `{ valid, repaired, issues }`, where each issue is `{ field, index, problem }`.
+// If `repair` is set, inconsistent accounts are dropped from `state` (in
+// place) so the rest can still be used.
+function validateState (state, { repair=false }={}) {
+  const issues = [];
+  if (state.version > SERIALIZATION_VERSION) {
+    issues.push({
+      field: 'version',
+      problem: `Unsupported version ${state.version} (latest is ${SERIALIZATION_VERSION}).`,
+    });
+    return { valid: false, repaired: false, issues };
+  }
+  if (state.accounts === undefined) {
+    return { valid: true, repaired: false, issues };
+  } else if (!Array.isArray(state.accounts)) {
+    issues.push({ field: 'accounts', problem: 'Not an array.' });
+    if (repair) {
+      state.accounts = [];
+    }
+    return { valid: repair, repaired: repair, issues };
+  }
+  // Accounts are keyed by wallet and derivation path
+  const keys = {};
+  const keep = [];
+  state.accounts.forEach((account, i) => {
+    const problems = [];
+    if (!account || typeof account !== 'object') {
+      problems.push({ field: 'accounts', problem: 'Missing account.' });
+    } else {
+      if (typeof account.address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(account.address)) {
+        problems.push({ field: 'accounts', problem: 'Missing or invalid address.' });
+      }
+      if (!Number.isInteger(account.index) || account.index < 0) {
+        problems.push({ field: 'accounts', problem: 'Missing or invalid index.' });
+      }
+      if (!account.walletUID || typeof account.walletUID !== 'string') {
+        problems.push({ field: 'accounts', problem: 'Missing `walletUID`.' });
+      }
+      if (!account.hdPath || typeof account.hdPath !== 'string') {
+        problems.push({ field: 'accounts', problem: 'Missing `hdPath`.' });
+      }
+      if (account.label !== undefined && typeof account.label !== 'string') {
+        problems.push({ field: 'accounts', problem: 'Invalid label.' });
+      }
+    }
+    if (problems.length === 0) {
+      const key = `${account.walletUID}:${account.hdPath}:${account.index}`;
+      if (keys[key]) {
+        problems.push({ field: 'accounts', problem: 'Duplicate of an earlier account.' });
+      }
+      keys[key] = true;
+    }
+    if (problems.length > 0) {
+      problems.forEach((problem) => issues.push(Object.assign({ index: i }, problem)));
+    } else {
+      keep.push(account);
+    }
+  });
+  if (issues.length === 0) {
+    return { valid: true, repaired: false, issues };
+  } else if (!repair) {
+    return { valid: false, repaired: false, issues };
+  }
+  // Keep only the consistent accounts
+  state.accounts = keep;
+  return { valid: true, repaired: true, issues };
+}
+
+// Wallet UIDs may have been stored as Buffers, which serialize to
+// `{ type: 'Buffer', data }`. Normalize them to hex strings.
+function uidToHex (uid) {
+  if (Buffer.isBuffer(uid)) {
+    return uid.toString('hex');
+  } else if (uid && uid.type === 'Buffer' && Array.isArray(uid.data)) {
+    return Buffer.from(uid.data).toString('hex');
+  }
+  return uid;
+}
+
+module.exports = {
+  SERIALIZATION_VERSION,
+  migrateState,
+  validateState,
+};
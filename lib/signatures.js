@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const secp = require('@noble/secp256k1');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { TypedDataUtils, SignTypedDataVersion } = require('@metamask/eth-sig-util');
+const { SignatureMismatchError, InvalidResponseError } = require('./errors');
+// DER prefix of an ed25519 public key in SPKI format
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Hash of the message a Lattice signs for a `signPersonal` request. String
+// payloads are treated the same way the SDK treats them: hex if prefixed
+// with `0x` and UTF-8 otherwise.
+function hashPersonalMessage (payload) {
+  let msg;
+  if (typeof payload === 'string') {
+    msg = payload.slice(0, 2) === '0x' ?
+          Buffer.from(payload.slice(2), 'hex') :
+          Buffer.from(payload);
+  } else {
+    msg = Buffer.from(payload);
+  }
+  const prefix = Buffer.from(`\u0019Ethereum Signed Message:\n${msg.length}`);
+  return Buffer.from(keccak256(Buffer.concat([prefix, msg])));
+}
+
+// Hash of an EIP712 payload. The SDK (and Lattice) always use V4 encoding.
+function hashTypedData (payload) {
+  const typedData = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  return Buffer.from(TypedDataUtils.eip712Hash(typedData, SignTypedDataVersion.V4));
+}
+
+// Hash of the unsigned transaction, i.e. what the signer signs.
+function hashTransaction (tx) {
+  return Buffer.from(tx.getHashedMessageToSign());
+}
+
+// Get the recovery param (0 or 1) from a `v` value. Typed transactions use
+// the raw recovery param, legacy transactions and messages add 27 and EIP155
+// transactions encode the chain ID as well.
+function vToRecoveryParam (v) {
+  v = toBigInt(v);
+  if (v < 27n) {
+    return Number(v);
+  } else if (v < 35n) {
+    return Number(v - 27n);
+  }
+  return Number((v - 35n) % 2n);
+}
+
+// Recover the (lowercase, 0x-prefixed) address which produced a signature
+function recoverAddress (hash, r, s, recovery) {
+  const signature = new secp.Signature(toBigInt(r), toBigInt(s));
+  const pubkey = secp.recoverPublicKey(hash, signature, recovery, false);
+  return pubToAddress(pubkey);
+}
+
+// Make sure a signature was produced by `address`. Throws a
+// `SignatureMismatchError` otherwise.
+function verifySigner (address, hash, r, s, recovery) {
+  let recovered = null;
+  try {
+    recovered = recoverAddress(hash, r, s, recovery);
+  } catch (err) {
+    // Unrecoverable signatures are treated as mismatches
+  }
+  if (!recovered || recovered !== address.toLowerCase()) {
+    throw new SignatureMismatchError(address, recovered);
+  }
+  return recovered;
+}
+
+// Determine the recovery param (0 or 1) of a secp256k1 signature by
+// recovering the public key and comparing it to the signer's.
+function getRecoveryParam (hash, sig, pubkey) {
+  const signer = pubToAddress(secp.Point.fromHex(pubkey).toRawBytes(false));
+  for (let recovery = 0; recovery < 2; recovery++) {
+    try {
+      if (recoverAddress(hash, sig.r, sig.s, recovery) === signer)
+        return recovery;
+    } catch (err) {
+      // Try the next recovery param
+    }
+  }
+  throw new InvalidResponseError('Failed to recover signature. Bad signature returned.');
+}
+
+// Check an ed25519 signature (`{ r, s }`) of `msg` against a raw 32 byte
+// public key.
+function verifyEd25519 (msg, sig, pubkey) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ ED25519_SPKI_PREFIX, Buffer.from(pubkey) ]),
+      format: 'der',
+      type: 'spki',
+    });
+    const signature = Buffer.concat([ Buffer.from(sig.r), Buffer.from(sig.s) ]);
+    return crypto.verify(null, Buffer.from(msg), key, signature);
+  } catch (err) {
+    return false;
+  }
+}
+
+function pubToAddress (pubkey) {
+  return `0x${Buffer.from(keccak256(pubkey.slice(1))).slice(-20).toString('hex')}`;
+}
+
+// Convert hex strings, Buffers, numbers and BN-like values to a BigInt
+function toBigInt (n) {
+  if (typeof n === 'bigint') {
+    return n;
+  } else if (typeof n === 'number') {
+    return BigInt(n);
+  } else if (typeof n === 'string') {
+    const hex = n.slice(0, 2) === '0x' ? n.slice(2) : n;
+    return BigInt(`0x${hex || '0'}`);
+  } else if (Buffer.isBuffer(n) || n instanceof Uint8Array) {
+    return BigInt(`0x${Buffer.from(n).toString('hex') || '0'}`);
+  }
+  return BigInt(`0x${n.toString(16)}`);
+}
+
+module.exports = {
+  hashPersonalMessage,
+  hashTypedData,
+  hashTransaction,
+  vToRecoveryParam,
+  recoverAddress,
+  verifySigner,
+  getRecoveryParam,
+  verifyEd25519,
+  toBigInt,
+};
@@ -0,0 +1,556 @@
+const crypto = require('crypto');
+const secp = require('@noble/secp256k1');
+const rlp = require('rlp');
+const { HDKey } = require('ethereum-cryptography/hdkey');
+const { mnemonicToSeedSync } = require('ethereum-cryptography/bip39');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const SDK = require('gridplus-sdk');
+const { hashPersonalMessage, hashTypedData } = require('./signatures');
+const DEFAULT_MNEMONIC = 'test test test test test test test test test test test junk';
+const DEFAULT_DEVICE_ID = 'SimLattice';
+const DEFAULT_FW_VERSION = { major: 0, minor: 17, fix: 0 };
+const EMPTY_WALLET_UID = Buffer.alloc(32);
+const HARDENED_OFFSET = 0x80000000;
+// DER prefix of an ed25519 private key (seed) in PKCS8 format
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+// Limits of key-value record requests (see `gridplus-sdk` fw constants)
+const KV_FW_VERSION = { major: 0, minor: 12, fix: 0 };
+const KV_ACTION_MAX_NUM = 10;
+const KV_REMOVE_MAX_NUM = 100;
+const KV_MAX_STR_SZ = 63;
+// Lattice response codes (see `gridplus-sdk` protocol constants) used
+// to mimic device-side failures.
+const RESPONSE_CODES = {
+  userDeclined: 132,
+  pairFailed: 133,
+  wrongWallet: 138,
+  already: 141,
+};
+const RESPONSE_MSGS = {
+  [RESPONSE_CODES.userDeclined]: 'Request declined by user',
+  [RESPONSE_CODES.pairFailed]: 'Pairing failed',
+  [RESPONSE_CODES.wrongWallet]: 'Active wallet does not match request',
+  [RESPONSE_CODES.already]: 'Record already exists on device',
+};
+
+// Mirrors the `LatticeResponseError` thrown by the SDK when the device
+// returns a non-zero response code.
+class SimulatedResponseError extends Error {
+  constructor (responseCode) {
+    super(RESPONSE_MSGS[responseCode]);
+    this.name = 'LatticeResponseError';
+    this.responseCode = responseCode;
+  }
+}
+
+// An in-memory stand-in for a Lattice1 device. It holds an internal wallet
+// and an optional SafeCard, each backed by a BIP39 seed, and hands out
+// `SimulatedClient` instances which implement the subset of the
+// `gridplus-sdk` `Client` interface used by the keyring. Pass
+// `(setupData) => lattice.createClient(setupData)` as the keyring's
+// `clientFactory` to run the keyring entirely offline.
+class SimulatedLattice {
+  constructor (opts={}) {
+    this.deviceID = opts.deviceID || DEFAULT_DEVICE_ID;
+    this.fwVersion = Object.assign({}, DEFAULT_FW_VERSION, opts.fwVersion);
+    // If pairing is required, clients must complete the pairing handshake
+    // using the code in `this.pairingCode` before they can make requests.
+    this.requirePairing = opts.requirePairing === true;
+    this.pairingCode = null;
+    this.pairedClients = new Set();
+    // Optional hook for approving or declining signing requests, as a
+    // user would on the device screen. Requests are approved by default.
+    this.approve = opts.approve || null;
+    this.internal = buildWallet(opts.mnemonic || DEFAULT_MNEMONIC, opts.walletUID);
+    this.safeCard = null;
+    // Key-value records (e.g. address tags), which are stored on the
+    // device rather than in a wallet.
+    this.kvRecords = [];
+    this.nextKvRecordId = 1;
+    if (opts.safeCardMnemonic) {
+      this.insertSafeCard(opts.safeCardMnemonic);
+    }
+  }
+
+  setFwVersion (fwVersion) {
+    this.fwVersion = Object.assign({}, DEFAULT_FW_VERSION, fwVersion);
+  }
+
+  // Insert (and unlock) a SafeCard. Its wallet becomes the active one.
+  insertSafeCard (mnemonic, walletUID) {
+    this.safeCard = buildWallet(mnemonic, walletUID);
+    return this.safeCard.uid.toString('hex');
+  }
+
+  // Remove the SafeCard, returning to the internal wallet.
+  removeSafeCard () {
+    this.safeCard = null;
+  }
+
+  getActiveWallet () {
+    return this.safeCard ? this.safeCard : this.internal;
+  }
+
+  getActiveWalletUID () {
+    return this.getActiveWallet().uid.toString('hex');
+  }
+
+  createClient (setupData={}) {
+    return new SimulatedClient(this, setupData);
+  }
+
+  //-------------------------------------------------------------------
+  // Device-side request handlers. These are called by `SimulatedClient`.
+  //-------------------------------------------------------------------
+  _connect (client, deviceID) {
+    if (deviceID !== this.deviceID) {
+      throw new Error(`Failed to make request to device:\nDevice ${deviceID} not found`);
+    }
+    const isPaired = this._isPaired(client);
+    if (!isPaired) {
+      // The device displays a new pairing code on every attempt
+      this.pairingCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+    return {
+      isPaired,
+      fwVersion: Object.assign({}, this.fwVersion),
+      activeWallets: this._exportWallets(),
+    };
+  }
+
+  _pair (client, pairingCode) {
+    if (!this.pairingCode || pairingCode !== this.pairingCode) {
+      throw new SimulatedResponseError(RESPONSE_CODES.pairFailed);
+    }
+    this.pairingCode = null;
+    this.pairedClients.add(client.clientId);
+    return true;
+  }
+
+  _isPaired (client) {
+    return !this.requirePairing || this.pairedClients.has(client.clientId);
+  }
+
+  _validateRequest (client, walletUID) {
+    if (!this._isPaired(client)) {
+      throw new Error('Cannot make request: client is not paired with this Lattice.');
+    }
+    if (!walletUID || !walletUID.equals(this.getActiveWallet().uid)) {
+      throw new SimulatedResponseError(RESPONSE_CODES.wrongWallet);
+    }
+  }
+
+  async _approve (req) {
+    if (this.approve && !(await this.approve(req))) {
+      throw new SimulatedResponseError(RESPONSE_CODES.userDeclined);
+    }
+  }
+
+  _getAddresses ({ startPath, n=1, flag }) {
+    const wallet = this.getActiveWallet();
+    const addrs = [];
+    for (let i = 0; i < n; i++) {
+      const path = startPath.slice();
+      path[path.length - 1] += i;
+      if (flag === SDK.Constants.GET_ADDR_FLAGS.ED25519_PUB) {
+        addrs.push(deriveEd25519Key(wallet, path).publicKey);
+        continue;
+      }
+      const key = deriveKey(wallet, path);
+      if (flag === SDK.Constants.GET_ADDR_FLAGS.SECP256K1_PUB) {
+        addrs.push(decompress(key.publicKey));
+      } else {
+        addrs.push(pubToAddress(key.publicKey));
+      }
+    }
+    return addrs;
+  }
+
+  async _sign ({ currency, data }) {
+    if (data.curveType === SDK.Constants.SIGNING.CURVES.ED25519) {
+      return this._signEd25519(deriveEd25519Key(this.getActiveWallet(), data.signerPath), data);
+    }
+    const key = deriveKey(this.getActiveWallet(), data.signerPath);
+    if (currency === 'ETH_MSG') {
+      return this._signEthMsg(key, data);
+    } else if (currency === 'ETH') {
+      throw new Error('The legacy ETH signing pathway is not supported by the simulator.');
+    }
+    return this._signGeneric(key, data);
+  }
+
+  async _signEthMsg (key, data) {
+    let hash;
+    if (data.protocol === 'signPersonal') {
+      hash = hashPersonalMessage(data.payload);
+    } else if (data.protocol === 'eip712') {
+      hash = hashTypedData(data.payload);
+    } else {
+      throw new Error('Unsupported protocol');
+    }
+    const { r, s, recovery } = await signHash(hash, key.privateKey);
+    return {
+      sig: {
+        v: Buffer.from([27 + recovery]),
+        r: r.toString('hex'),
+        s: s.toString('hex'),
+      },
+      signer: pubToAddress(key.publicKey, true),
+    };
+  }
+
+  async _signGeneric (key, data) {
+    const { CURVES, HASHES, ENCODINGS } = SDK.Constants.SIGNING;
+    if (data.curveType !== CURVES.SECP256K1) {
+      throw new Error('Only secp256k1 and ed25519 signing are supported by the simulator.');
+    }
+    const payload = toBuffer(data.payload);
+    let hash;
+    if (data.hashType === HASHES.KECCAK256) {
+      hash = Buffer.from(keccak256(payload));
+    } else if (data.hashType === HASHES.SHA256) {
+      hash = crypto.createHash('sha256').update(payload).digest();
+    } else if (payload.length === 32) {
+      hash = payload;
+    } else {
+      throw new Error('Unhashed payloads must be 32 bytes.');
+    }
+    const { r, s, recovery } = await signHash(hash, key.privateKey);
+    const sig = { r, s };
+    if (data.encodingType === ENCODINGS.EVM) {
+      sig.v = getEvmV(payload, recovery);
+    }
+    return {
+      sig,
+      pubkey: decompress(key.publicKey),
+    };
+  }
+
+  async _signEd25519 (key, data) {
+    if (data.hashType !== SDK.Constants.SIGNING.HASHES.NONE) {
+      throw new Error('Signing on ed25519 requires unhashed message');
+    }
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ ED25519_PKCS8_PREFIX, key.privateKey ]),
+      format: 'der',
+      type: 'pkcs8',
+    });
+    const sig = crypto.sign(null, toBuffer(data.payload), privateKey);
+    return {
+      sig: { r: sig.slice(0, 32), s: sig.slice(32, 64) },
+      pubkey: key.publicKey,
+    };
+  }
+
+  _getKvRecords ({ type, n, start }) {
+    if (n < 1 || n > KV_ACTION_MAX_NUM) {
+      throw new Error(`You may only request up to ${KV_ACTION_MAX_NUM} records at once.`);
+    }
+    const records = this.kvRecords.filter((record) => record.type === type);
+    const fetched = records.slice(start, start + n).map((record) => Object.assign({}, record));
+    return { records: fetched, fetched: fetched.length, total: records.length };
+  }
+
+  _addKvRecords ({ type, records, caseSensitive }) {
+    const entries = Object.entries(records);
+    if (entries.length < 1 || entries.length > KV_ACTION_MAX_NUM) {
+      throw new Error(`Must add between 1 and ${KV_ACTION_MAX_NUM} records.`);
+    }
+    entries.forEach(([ key, val ]) => {
+      if (String(key).length > KV_MAX_STR_SZ || String(val).length > KV_MAX_STR_SZ) {
+        throw new Error(`Keys and values must be up to ${KV_MAX_STR_SZ} characters.`);
+      }
+      const exists = this.kvRecords.some((record) => {
+        return record.type === type &&
+               (record.caseSensitive || caseSensitive ?
+                record.key === key :
+                record.key.toLowerCase() === String(key).toLowerCase());
+      });
+      if (exists) {
+        throw new SimulatedResponseError(RESPONSE_CODES.already);
+      }
+    });
+    entries.forEach(([ key, val ]) => {
+      this.kvRecords.push({
+        id: this.nextKvRecordId++,
+        type,
+        caseSensitive: !!caseSensitive,
+        key: String(key),
+        val: String(val),
+      });
+    });
+    return Buffer.alloc(0);
+  }
+
+  _removeKvRecords ({ type, ids }) {
+    if (!Array.isArray(ids) || ids.length < 1 || ids.length > KV_REMOVE_MAX_NUM) {
+      throw new Error(`Must remove between 1 and ${KV_REMOVE_MAX_NUM} records.`);
+    }
+    this.kvRecords = this.kvRecords.filter((record) => {
+      return record.type !== type || ids.indexOf(record.id) < 0;
+    });
+    return Buffer.alloc(0);
+  }
+
+  _exportWallets () {
+    return {
+      internal: exportWallet(this.internal, false),
+      external: exportWallet(this.safeCard, true),
+    };
+  }
+}
+
+// Implements the parts of the `gridplus-sdk` `Client` interface which the
+// keyring relies upon, backed by a `SimulatedLattice`.
+class SimulatedClient {
+  constructor (lattice, setupData={}) {
+    this.lattice = lattice;
+    this.name = setupData.name || 'Unknown';
+    this.baseUrl = setupData.baseUrl;
+    this.timeout = setupData.timeout;
+    this.privKey = setupData.privKey ?
+                   Buffer.from(setupData.privKey, 'hex') :
+                   crypto.randomBytes(32);
+    this.isPaired = false;
+    this.deviceId = null;
+    this.fwVersion = null;
+    this.activeWallets = exportWallets(null);
+    if (setupData.stateData) {
+      this._applyStateData(setupData.stateData);
+    }
+  }
+
+  // Stable identifier of this app on the device, derived from its key
+  get clientId () {
+    return crypto.createHash('sha256').update(this.privKey).digest('hex');
+  }
+
+  async connect (deviceId) {
+    const resp = this.lattice._connect(this, deviceId);
+    this.deviceId = deviceId;
+    this.isPaired = resp.isPaired;
+    this.fwVersion = resp.fwVersion;
+    this.activeWallets = resp.isPaired ? resp.activeWallets : exportWallets(null);
+    return resp.isPaired;
+  }
+
+  async pair (pairingSecret) {
+    this.lattice._pair(this, pairingSecret);
+    this.isPaired = true;
+    this.activeWallets = this.lattice._exportWallets();
+    return this.hasActiveWallet();
+  }
+
+  async getAddresses (req) {
+    this.lattice._validateRequest(this, this._getActiveWalletUID());
+    return this.lattice._getAddresses(req);
+  }
+
+  async sign (req) {
+    this.lattice._validateRequest(this, this._getActiveWalletUID());
+    await this.lattice._approve(req);
+    return this.lattice._sign(req);
+  }
+
+  async getKvRecords ({ type=0, n=1, start=0 }) {
+    this._validateKvRequest();
+    return this.lattice._getKvRecords({ type, n, start });
+  }
+
+  async addKvRecords ({ type=0, records, caseSensitive=false }) {
+    this._validateKvRequest();
+    return this.lattice._addKvRecords({ type, records, caseSensitive });
+  }
+
+  async removeKvRecords ({ type=0, ids=[] }) {
+    this._validateKvRequest();
+    return this.lattice._removeKvRecords({ type, ids });
+  }
+
+  async fetchActiveWallet () {
+    this.activeWallets = this.lattice._exportWallets();
+    return this.activeWallets;
+  }
+
+  getActiveWallet () {
+    const { internal, external } = this.activeWallets;
+    if (external.uid && !EMPTY_WALLET_UID.equals(external.uid)) {
+      return external;
+    } else if (internal.uid && !EMPTY_WALLET_UID.equals(internal.uid)) {
+      return internal;
+    }
+    return undefined;
+  }
+
+  hasActiveWallet () {
+    return !!this.getActiveWallet();
+  }
+
+  getFwVersion () {
+    return this.fwVersion ? Object.assign({}, this.fwVersion) : { major: 0, minor: 0, fix: 0 };
+  }
+
+  getStateData () {
+    return JSON.stringify({
+      deviceId: this.deviceId,
+      name: this.name,
+      baseUrl: this.baseUrl,
+      privKey: this.privKey.toString('hex'),
+      timeout: this.timeout,
+      fwVersion: this.fwVersion,
+      activeWallets: {
+        internal: { uid: this.activeWallets.internal.uid.toString('hex') },
+        external: { uid: this.activeWallets.external.uid.toString('hex') },
+      },
+    });
+  }
+
+  _applyStateData (stateData) {
+    try {
+      const data = JSON.parse(stateData);
+      this.deviceId = data.deviceId;
+      this.name = data.name;
+      this.baseUrl = data.baseUrl;
+      this.privKey = Buffer.from(data.privKey, 'hex');
+      this.timeout = data.timeout;
+      this.fwVersion = data.fwVersion;
+      this.activeWallets.internal.uid = Buffer.from(data.activeWallets.internal.uid, 'hex');
+      this.activeWallets.external.uid = Buffer.from(data.activeWallets.external.uid, 'hex');
+      this.isPaired = this.lattice._isPaired(this);
+    } catch (err) {
+      throw new Error(`Could not apply state data: ${err.message}`);
+    }
+  }
+
+  // Key-value records are not tied to a wallet, but require a paired
+  // client and firmware support.
+  _validateKvRequest () {
+    if (!this.lattice._isPaired(this)) {
+      throw new Error('Cannot make request: client is not paired with this Lattice.');
+    }
+    const fw = this.getFwVersion();
+    const supported = fw.major !== KV_FW_VERSION.major ?
+                      fw.major > KV_FW_VERSION.major :
+                      fw.minor >= KV_FW_VERSION.minor;
+    if (!supported) {
+      throw new Error('Unsupported. Please update firmware.');
+    }
+  }
+
+  _getActiveWalletUID () {
+    const wallet = this.getActiveWallet();
+    return wallet ? wallet.uid : null;
+  }
+}
+
+// -----
+// HELPERS
+// -----
+function buildWallet (mnemonic, walletUID) {
+  const seed = mnemonicToSeedSync(mnemonic);
+  const uid = walletUID ?
+              Buffer.from(walletUID, 'hex') :
+              crypto.createHash('sha256').update(seed).digest();
+  return {
+    uid,
+    seed,
+    root: HDKey.fromMasterSeed(seed),
+  };
+}
+
+function exportWallet (wallet, external) {
+  return {
+    uid: wallet ? Buffer.from(wallet.uid) : Buffer.alloc(32),
+    name: null,
+    capabilities: 0,
+    external,
+  };
+}
+
+function exportWallets (wallet) {
+  return {
+    internal: exportWallet(wallet, false),
+    external: exportWallet(null, true),
+  };
+}
+
+function deriveKey (wallet, path) {
+  return path.reduce((key, idx) => key.deriveChild(idx), wallet.root);
+}
+
+// Derive an ed25519 key per SLIP-0010, which only supports hardened paths.
+// Returns the 32 byte private key (seed) and public key.
+function deriveEd25519Key (wallet, path) {
+  if (path.some((idx) => idx < HARDENED_OFFSET)) {
+    throw new Error('Signing on ed25519 requires all signer path indices be hardened.');
+  }
+  let I = crypto.createHmac('sha512', 'ed25519 seed').update(wallet.seed).digest();
+  path.forEach((idx) => {
+    const data = Buffer.alloc(37);
+    I.copy(data, 1, 0, 32);
+    data.writeUInt32BE(idx, 33);
+    I = crypto.createHmac('sha512', I.slice(32)).update(data).digest();
+  });
+  const privateKey = I.slice(0, 32);
+  const publicKey = crypto.createPublicKey(crypto.createPrivateKey({
+    key: Buffer.concat([ ED25519_PKCS8_PREFIX, privateKey ]),
+    format: 'der',
+    type: 'pkcs8',
+  })).export({ format: 'der', type: 'spki' }).slice(-32);
+  return { privateKey, publicKey };
+}
+
+function decompress (pub) {
+  return Buffer.from(secp.Point.fromHex(pub).toRawBytes(false));
+}
+
+function pubToAddress (pub, asBuffer=false) {
+  const addr = Buffer.from(keccak256(decompress(pub).slice(1))).slice(-20);
+  return asBuffer ? addr : `0x${addr.toString('hex')}`;
+}
+
+async function signHash (hash, privKey) {
+  const [sig, recovery] = await secp.sign(hash, privKey, {
+    recovered: true,
+    der: false,
+    canonical: true,
+  });
+  return {
+    r: Buffer.from(sig.slice(0, 32)),
+    s: Buffer.from(sig.slice(32, 64)),
+    recovery,
+  };
+}
+
+// Build the `v` value the SDK returns for EVM-encoded requests. Typed
+// transactions only carry the recovery param while legacy transactions
+// also encode the chain ID (EIP155) if one is present.
+function getEvmV (payload, recovery) {
+  if (payload[0] < 0xc0) {
+    return recovery === 0 ? Buffer.alloc(0) : Buffer.from([recovery]);
+  }
+  const params = rlp.decode(payload);
+  if (params.length < 7) {
+    return Buffer.from([27 + recovery]);
+  }
+  const chainId = BigInt(`0x${Buffer.from(params[6]).toString('hex') || '0'}`);
+  let v = (chainId * 2n + 35n + BigInt(recovery)).toString(16);
+  if (v.length % 2 === 1) {
+    v = `0${v}`;
+  }
+  return Buffer.from(v, 'hex');
+}
+
+function toBuffer (data) {
+  if (typeof data === 'string') {
+    return data.slice(0, 2) === '0x' ?
+           Buffer.from(data.slice(2), 'hex') :
+           Buffer.from(data);
+  }
+  return Buffer.from(data);
+}
+
+module.exports = {
+  SimulatedLattice,
+  SimulatedClient,
+};
@@ -0,0 +1,186 @@
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { InvalidArgumentError } = require('./errors');
+const { toBigInt } = require('./signatures');
+
+// Canonical ERC-4337 EntryPoint deployments and their versions
+const ENTRY_POINTS = {
+  '0x5ff137d4b0fdcd49dca30c7cf57e578a026d2789': '0.6',
+  '0x0000000071727de22e5e85d9d86a4c9fe6b5a2c0': '0.7',
+};
+const ENTRY_POINT_VERSIONS = [ '0.6', '0.7' ];
+
+// Get the EntryPoint version of a UserOperation: `version` if given, else
+// the version of a known EntryPoint deployment.
+function getEntryPointVersion (entryPoint, version) {
+  if (version !== undefined) {
+    version = String(version);
+    if (ENTRY_POINT_VERSIONS.indexOf(version) < 0) {
+      throw new InvalidArgumentError(
+        `Unsupported EntryPoint version ${version}. Must be one of: ${ENTRY_POINT_VERSIONS.join(', ')}.`
+      );
+    }
+    return version;
+  }
+  const known = ENTRY_POINTS[entryPoint.toLowerCase()];
+  if (!known) {
+    throw new InvalidArgumentError(
+      `Unknown EntryPoint ${entryPoint}. Pass \`entryPointVersion\` ` +
+      `(${ENTRY_POINT_VERSIONS.join(' or ')}) to sign for it.`
+    );
+  }
+  return known;
+}
+
+// Get the `userOpHash` of a UserOperation, which the sender account
+// validates the signature against:
+// `keccak256(abi.encode(keccak256(pack(userOp)), entryPoint, chainId))`.
+// v0.7 operations may be given in either the packed (`accountGasLimits`,
+// `gasFees`, ...) or the unpacked RPC format (`factory`, `paymaster`, ...).
+function getUserOperationHash (userOp, { entryPoint, chainId, entryPointVersion }={}) {
+  if (!userOp || typeof userOp !== 'object') {
+    throw new InvalidArgumentError('UserOperation must be an object.');
+  }
+  if (!isAddress(entryPoint)) {
+    throw new InvalidArgumentError('`entryPoint` must be an address.');
+  }
+  if (chainId === undefined || chainId === null) {
+    throw new InvalidArgumentError('`chainId` is required.');
+  }
+  const version = getEntryPointVersion(entryPoint, entryPointVersion);
+  const packed = version === '0.6' ? packV6(userOp) : packV7(userOp);
+  return hash(Buffer.concat([
+    hash(packed),
+    encodeAddress(entryPoint, 'entryPoint'),
+    encodeUint(chainId, 'chainId'),
+  ]));
+}
+
+function packV6 (userOp) {
+  return Buffer.concat([
+    encodeAddress(userOp.sender, 'sender'),
+    encodeUint(userOp.nonce, 'nonce'),
+    hash(toBytes(userOp.initCode, 'initCode')),
+    hash(toBytes(userOp.callData, 'callData')),
+    encodeUint(userOp.callGasLimit, 'callGasLimit'),
+    encodeUint(userOp.verificationGasLimit, 'verificationGasLimit'),
+    encodeUint(userOp.preVerificationGas, 'preVerificationGas'),
+    encodeUint(userOp.maxFeePerGas, 'maxFeePerGas'),
+    encodeUint(userOp.maxPriorityFeePerGas, 'maxPriorityFeePerGas'),
+    hash(toBytes(userOp.paymasterAndData, 'paymasterAndData')),
+  ]);
+}
+
+function packV7 (userOp) {
+  let initCode, accountGasLimits, gasFees, paymasterAndData;
+  if (userOp.accountGasLimits !== undefined) {
+    // Already packed
+    initCode = toBytes(userOp.initCode, 'initCode');
+    accountGasLimits = toBytes32(userOp.accountGasLimits, 'accountGasLimits');
+    gasFees = toBytes32(userOp.gasFees, 'gasFees');
+    paymasterAndData = toBytes(userOp.paymasterAndData, 'paymasterAndData');
+  } else {
+    initCode = userOp.factory ?
+               Buffer.concat([
+                 toBytes(userOp.factory, 'factory'),
+                 toBytes(userOp.factoryData, 'factoryData'),
+               ]) :
+               Buffer.alloc(0);
+    accountGasLimits = packUints(userOp, 'verificationGasLimit', 'callGasLimit');
+    gasFees = packUints(userOp, 'maxPriorityFeePerGas', 'maxFeePerGas');
+    paymasterAndData = userOp.paymaster ?
+                       Buffer.concat([
+                         toBytes(userOp.paymaster, 'paymaster'),
+                         encodeUint128(userOp.paymasterVerificationGasLimit, 'paymasterVerificationGasLimit'),
+                         encodeUint128(userOp.paymasterPostOpGasLimit, 'paymasterPostOpGasLimit'),
+                         toBytes(userOp.paymasterData, 'paymasterData'),
+                       ]) :
+                       Buffer.alloc(0);
+  }
+  return Buffer.concat([
+    encodeAddress(userOp.sender, 'sender'),
+    encodeUint(userOp.nonce, 'nonce'),
+    hash(initCode),
+    hash(toBytes(userOp.callData, 'callData')),
+    accountGasLimits,
+    encodeUint(userOp.preVerificationGas, 'preVerificationGas'),
+    gasFees,
+    hash(paymasterAndData),
+  ]);
+}
+
+// Pack two uint128 fields into a bytes32 (`high << 128 | low`)
+function packUints (userOp, high, low) {
+  return Buffer.concat([
+    encodeUint128(userOp[high], high),
+    encodeUint128(userOp[low], low),
+  ]);
+}
+
+function hash (data) {
+  return Buffer.from(keccak256(data));
+}
+
+function isAddress (address) {
+  return typeof address === 'string' && /^0x[0-9a-fA-F]{40}$/.test(address);
+}
+
+function encodeAddress (address, field) {
+  if (!isAddress(address)) {
+    throw new InvalidArgumentError(`\`${field}\` must be an address.`);
+  }
+  return Buffer.concat([ Buffer.alloc(12), Buffer.from(address.slice(2), 'hex') ]);
+}
+
+// Get an unsigned integer of up to `bits` bits as a BigInt. Numeric fields
+// may be numbers, BigInts, hex strings or decimal strings.
+function toUint (value, field, bits=256) {
+  let n = null;
+  if (typeof value === 'string' && value.slice(0, 2) !== '0x') {
+    n = /^[0-9]+$/.test(value) ? BigInt(value) : null;
+  } else if (value !== undefined && value !== null) {
+    try {
+      n = toBigInt(value);
+    } catch (err) {
+      // Reported below
+    }
+  }
+  if (n === null || n < 0n || n >= (1n << BigInt(bits))) {
+    throw new InvalidArgumentError(`\`${field}\` must be a uint${bits}.`);
+  }
+  return n;
+}
+
+// ABI-encode an unsigned integer of up to `bits` bits as a 32 byte word
+function encodeUint (value, field, bits=256) {
+  return Buffer.from(toUint(value, field, bits).toString(16).padStart(64, '0'), 'hex');
+}
+
+// Encode a uint128 as 16 bytes, as used in packed fields
+function encodeUint128 (value, field) {
+  return encodeUint(value, field, 128).slice(16);
+}
+
+function toBytes (value, field) {
+  if (value === undefined || value === null || value === '0x' || value === '') {
+    return Buffer.alloc(0);
+  } else if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value);
+  } else if (typeof value === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(value)) {
+    return Buffer.from(value.slice(2), 'hex');
+  }
+  throw new InvalidArgumentError(`\`${field}\` must be a hex string.`);
+}
+
+function toBytes32 (value, field) {
+  const buf = toBytes(value, field);
+  if (buf.length !== 32) {
+    throw new InvalidArgumentError(`\`${field}\` must be 32 bytes.`);
+  }
+  return buf;
+}
+
+module.exports = {
+  ENTRY_POINTS,
+  getEntryPointVersion,
+  getUserOperationHash,
+};
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, ADDRESSES, createKeyring, createPromptingKeyring, createTx, getError } = require('./helpers');
+const { ConnectorCredentialProvider, PairingCredentialProvider } = require('../lib/credentials');
+const CONNECTOR_URL = 'https://connector.test';
+
+test('cancels a request waiting on the Lattice', async () => {
+  const { keyring, prompts } = createPromptingKeyring();
+  await keyring.addAccounts(1);
+  const controller = new AbortController();
+  const pending = keyring.signPersonalMessage(ADDRESSES[0], 'first', { signal: controller.signal });
+  await prompts.waitFor(1);
+  controller.abort(new Error('Popup closed'));
+  const err = await getError(pending);
+  assert.strictEqual(err.code, 'REQUEST_CANCELLED');
+  assert.strictEqual(err.cause.message, 'Popup closed');
+  assert.strictEqual(keyring.getPendingOperation().name, 'signMessage');
+  // The keyring stays usable: the next request is sent once the abandoned
+  // one is dealt with on the Lattice
+  const next = keyring.signPersonalMessage(ADDRESSES[0], 'second');
+  prompts.next(false);
+  await prompts.waitFor(2);
+  prompts.next();
+  assert.match(await next, /^0x[0-9a-f]{130}$/);
+  assert.deepStrictEqual(prompts.shown, [ 'first', 'second' ]);
+});
+
+test('holds the queue until an abandoned request settles', async () => {
+  const { keyring, prompts, calls } = createPromptingKeyring();
+  await keyring.addAccounts(1);
+  const controller = new AbortController();
+  const first = keyring.signPersonalMessage(ADDRESSES[0], 'first', { signal: controller.signal });
+  await prompts.waitFor(1);
+  controller.abort();
+  assert.strictEqual((await getError(first)).code, 'REQUEST_CANCELLED');
+  // The next request waits while the first is still on the Lattice's screen
+  const next = keyring.signPersonalMessage(ADDRESSES[0], 'second');
+  for (let i = 0; i < 10; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  assert.strictEqual(calls.sign, 1);
+  const pending = keyring.getPendingOperation();
+  assert.deepStrictEqual([ pending.name, pending.queued.map((op) => op.name) ], [ 'signMessage', [ 'signMessage' ] ]);
+  prompts.next(false);
+  await prompts.waitFor(2);
+  assert.strictEqual(calls.sign, 2);
+  prompts.next();
+  assert.match(await next, /^0x[0-9a-f]{130}$/);
+});
+
+test('cancels queued requests without sending them', async () => {
+  const { keyring, prompts, calls } = createPromptingKeyring();
+  await keyring.addAccounts(1);
+  const first = keyring.signPersonalMessage(ADDRESSES[0], 'first');
+  const controller = new AbortController();
+  const queued = keyring.signTransaction(ADDRESSES[0], createTx(), { signal: controller.signal });
+  await prompts.waitFor(1);
+  controller.abort();
+  assert.strictEqual((await getError(queued)).code, 'REQUEST_CANCELLED');
+  prompts.next();
+  await first;
+  assert.strictEqual(calls.sign, 1);
+  assert.strictEqual(keyring.getPendingOperation(), null);
+});
+
+test('rejects requests whose signal has already aborted', async () => {
+  const { keyring, calls } = createPromptingKeyring();
+  const signal = AbortSignal.abort();
+  const requests = [
+    keyring.unlock(false, { signal }),
+    keyring.addAccounts(1, { signal }),
+    keyring.discoverAccounts({ signal }),
+    keyring.getFirstPage({ signal }),
+    keyring.signTransaction(ADDRESSES[0], createTx(), { signal }),
+    keyring.signMessage(ADDRESSES[0], 'hi', { signal }),
+    keyring.signRaw({ address: ADDRESSES[0], payload: 'hi', signal }),
+    keyring.getAddressTags({ signal }),
+  ];
+  for (const request of requests) {
+    assert.strictEqual((await getError(request)).code, 'REQUEST_CANCELLED');
+  }
+  assert.deepStrictEqual(calls, { connect: 0, getAddresses: 0, sign: 0 });
+});
+
+test('restores the session timeout when a fetch is cancelled', async () => {
+  const { keyring } = createPromptingKeyring({ timeouts: { fetch: 5000 } });
+  await keyring.unlock();
+  let release;
+  keyring.sdkSession.getAddresses = () => {
+    assert.strictEqual(keyring.sdkSession.timeout, 5000);
+    return new Promise((resolve) => {
+      release = resolve;
+    });
+  };
+  const controller = new AbortController();
+  const pending = keyring.getFirstPage({ signal: controller.signal });
+  while (!release) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  controller.abort();
+  assert.strictEqual((await getError(pending)).code, 'REQUEST_CANCELLED');
+  assert.strictEqual(keyring.sdkSession.timeout, keyring.timeouts.sign);
+  release([]);
+});
+
+test('stops waiting for the connector', async (t) => {
+  const listeners = [];
+  let closed = 0;
+  global.window = {
+    open: () => ({ closed: false, close: () => { closed += 1; } }),
+    addEventListener: (type, fn) => listeners.push(fn),
+    removeEventListener: (type, fn) => listeners.splice(listeners.indexOf(fn), 1),
+  };
+  t.after(() => {
+    delete global.window;
+  });
+  const credentialProvider = new ConnectorCredentialProvider({ url: CONNECTOR_URL });
+  const { keyring } = createKeyring({ credentialProvider, creds: undefined });
+  const controller = new AbortController();
+  const pending = keyring.unlock(false, { signal: controller.signal });
+  while (listeners.length === 0) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  controller.abort();
+  assert.strictEqual((await getError(pending)).code, 'REQUEST_CANCELLED');
+  // The connector window is closed and no longer listened to or polled
+  assert.strictEqual(closed, 1);
+  assert.strictEqual(listeners.length, 0);
+  assert.strictEqual(keyring.isUnlocked(), false);
+});
+
+test('stops waiting for a pairing code', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ requirePairing: true });
+  let getPairingCode;
+  const credentialProvider = new PairingCredentialProvider({
+    deviceID: lattice.deviceID,
+    getPairingCode: (opts) => getPairingCode(opts),
+  });
+  const { keyring } = createKeyring({ lattice, credentialProvider, creds: undefined });
+  const controller = new AbortController();
+  let pairingSignal;
+  getPairingCode = ({ signal }) => {
+    pairingSignal = signal;
+    setImmediate(() => controller.abort());
+    return new Promise(() => {});
+  };
+  assert.strictEqual((await getError(keyring.unlock(false, { signal: controller.signal }))).code, 'REQUEST_CANCELLED');
+  // The callback gets the signal, to dismiss its own prompt
+  assert.strictEqual(pairingSignal, controller.signal);
+  // Pairing works on the next attempt
+  getPairingCode = async () => lattice.pairingCode;
+  await keyring.unlock();
+  assert.strictEqual(keyring.isUnlocked(), true);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, MNEMONIC, ADDRESSES, createKeyring, getError } = require('./helpers');
+const BIP44 = "m/44'/60'/0'/0/x";
+const LEDGER_LIVE = "m/44'/60'/x'/0/0";
+const WALLET_A = 'aa'.repeat(32);
+const WALLET_B = 'bb'.repeat(32);
+
+function account (address, walletUID, hdPath, index, label) {
+  return Object.assign({ address, walletUID, hdPath, index }, label ? { label } : {});
+}
+
+test('keys accounts by wallet, HD path and index', () => {
+  const store = new LatticeKeyring.AccountStore([
+    account(ADDRESSES[0], WALLET_A, BIP44, 0),
+    account(ADDRESSES[0], WALLET_A, LEDGER_LIVE, 0),
+    account(ADDRESSES[0], WALLET_B, BIP44, 0, 'Card'),
+  ]);
+  assert.strictEqual(store.size, 3);
+  // The same key is only saved once
+  assert.strictEqual(store.add(account(ADDRESSES[1], WALLET_A, BIP44, 0)), false);
+  assert.strictEqual(store.add(account(ADDRESSES[1], WALLET_A, BIP44, 1)), true);
+  assert.deepStrictEqual(store.getAddresses(), [ ADDRESSES[0], ADDRESSES[1] ]);
+  assert.deepStrictEqual(store.get({ walletUID: WALLET_B, hdPath: BIP44, index: 0 }), account(ADDRESSES[0], WALLET_B, BIP44, 0, 'Card'));
+  assert.strictEqual(store.get({ walletUID: WALLET_B, hdPath: BIP44 }), null);
+  assert.deepStrictEqual(store.list({ walletUID: WALLET_A, index: 0 }).map((a) => a.hdPath), [ BIP44, LEDGER_LIVE ]);
+  // Copies are returned
+  store.list()[0].label = 'Changed';
+  assert.strictEqual(store.list()[0].label, undefined);
+});
+
+test('resolves signers to the first matching account added', () => {
+  const store = new LatticeKeyring.AccountStore([
+    account(ADDRESSES[0], WALLET_A, LEDGER_LIVE, 0),
+    account(ADDRESSES[0], WALLET_B, BIP44, 0),
+    account(ADDRESSES[0], WALLET_A, BIP44, 0),
+  ]);
+  assert.strictEqual(store.resolve(ADDRESSES[0].toUpperCase().replace('0X', '0x')).hdPath, LEDGER_LIVE);
+  assert.strictEqual(store.resolve(ADDRESSES[0], { walletUID: WALLET_B }).walletUID, WALLET_B);
+  assert.strictEqual(store.resolve(ADDRESSES[1]), null);
+});
+
+test('labels and removes accounts by filter', () => {
+  const store = new LatticeKeyring.AccountStore([
+    account(ADDRESSES[0], WALLET_A, BIP44, 0),
+    account(ADDRESSES[0], WALLET_B, BIP44, 0),
+    account(ADDRESSES[1], WALLET_B, BIP44, 1),
+  ]);
+  assert.strictEqual(store.setLabel({ address: ADDRESSES[0] }, 'Main'), 2);
+  assert.strictEqual(store.setLabel({ address: ADDRESSES[0], walletUID: WALLET_B }, null), 1);
+  assert.deepStrictEqual(store.list().map((a) => a.label), [ 'Main', undefined, undefined ]);
+  assert.throws(() => store.remove({}), { code: 'INVALID_ARGUMENT' });
+  assert.deepStrictEqual(store.remove({ walletUID: WALLET_B }).map((a) => a.address), [ ADDRESSES[0], ADDRESSES[1] ]);
+  assert.deepStrictEqual(store.toJSON(), [ account(ADDRESSES[0], WALLET_A, BIP44, 0, 'Main') ]);
+  store.clear();
+  assert.strictEqual(store.size, 0);
+});
+
+test('validates accounts', () => {
+  const store = new LatticeKeyring.AccountStore();
+  const invalid = [
+    account('0x1234', WALLET_A, BIP44, 0),
+    account(ADDRESSES[0], '', BIP44, 0),
+    account(ADDRESSES[0], WALLET_A, null, 0),
+    account(ADDRESSES[0], WALLET_A, BIP44, -1),
+    account(ADDRESSES[0], WALLET_A, BIP44, 1.5),
+  ];
+  invalid.forEach((a) => assert.throws(() => store.add(a), { code: 'INVALID_ARGUMENT' }));
+  assert.strictEqual(store.size, 0);
+});
+
+test('keeps the same address on several HD paths', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  keyring.setHdPath('ledgerLive');
+  // Index 0 of Ledger Live derives the same key as the first BIP44 account
+  await keyring.addAccounts(1);
+  assert.deepStrictEqual(await keyring.getAccounts(), [ ADDRESSES[0] ]);
+  assert.deepStrictEqual(keyring.listAccounts({ address: ADDRESSES[0] }).map((a) => a.hdPath), [ BIP44, LEDGER_LIVE ]);
+  // Removing one entry leaves the address usable through the other
+  keyring.removeAccount(ADDRESSES[0], { hdPath: BIP44 });
+  assert.deepStrictEqual(keyring.listAccounts().map((a) => a.hdPath), [ LEDGER_LIVE ]);
+  assert.match(await keyring.signPersonalMessage(ADDRESSES[0], 'hi'), /^0x[0-9a-f]{130}$/);
+  keyring.removeAccount(ADDRESSES[0]);
+  assert.deepStrictEqual(await keyring.getAccounts(), []);
+});
+
+test('signs with the account of the active wallet', async () => {
+  const { keyring, lattice } = createKeyring({ auditLog: true });
+  await keyring.addAccounts(1);
+  const internalUID = lattice.getActiveWalletUID();
+  // A SafeCard restored from the internal wallet's seed
+  const cardUID = lattice.insertSafeCard(MNEMONIC, WALLET_B);
+  await keyring._connect();
+  await keyring.addAccounts(1);
+  assert.deepStrictEqual(keyring.listAccounts().map((a) => [ a.address, a.walletUID ]), [
+    [ ADDRESSES[0], internalUID ],
+    [ ADDRESSES[0], cardUID ],
+  ]);
+  await keyring.signPersonalMessage(ADDRESSES[0], 'hi');
+  lattice.removeSafeCard();
+  await keyring._connect();
+  await keyring.signPersonalMessage(ADDRESSES[0], 'hi');
+  const entries = await keyring.auditLog.getEntries();
+  assert.deepStrictEqual(entries.map((entry) => entry.walletUID), [ cardUID, internalUID ]);
+
+  // Without an account in the active wallet, the address can't be signed for
+  assert.deepStrictEqual(keyring.removeWalletAccounts(internalUID).map((a) => a.walletUID), [ internalUID ]);
+  const err = await getError(keyring.signPersonalMessage(ADDRESSES[0], 'hi'));
+  assert.strictEqual(err.code, 'WRONG_ACTIVE_WALLET');
+  assert.throws(() => keyring.removeWalletAccounts(), { code: 'INVALID_ARGUMENT' });
+});
+
+test('serializes accounts with their keys and labels', async () => {
+  const { keyring, lattice } = createKeyring();
+  await keyring.addAccounts(2);
+  await keyring.setAccountLabel(ADDRESSES[1], 'Savings');
+  const state = await keyring.serialize();
+  const restored = createKeyring(Object.assign({ lattice }, state)).keyring;
+  assert.deepStrictEqual(restored.listAccounts(), keyring.listAccounts());
+  assert.deepStrictEqual(restored.getAccountLabels(), { [ADDRESSES[1]]: 'Savings' });
+});
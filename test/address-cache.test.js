@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, MNEMONIC, ADDRESSES, createKeyring, createCountingKeyring } = require('./helpers');
+const SAFECARD_MNEMONIC = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+
+test('only requests addresses which are not cached', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const { keyring, counts } = createCountingKeyring(lattice);
+  const first = await keyring.getFirstPage();
+  await keyring.getNextPage();
+  assert.deepStrictEqual(await keyring.getPreviousPage(), first);
+  assert.deepStrictEqual(await keyring.getFirstPage(), first);
+  await keyring.addAccounts(3);
+  assert.deepStrictEqual([ counts.getAddresses, counts.addresses ], [ 2, 10 ]);
+  assert.deepStrictEqual((await keyring.getAccounts()).map((a) => a.toLowerCase()), ADDRESSES);
+});
+
+test('caches addresses per wallet', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const { keyring, counts } = createCountingKeyring(lattice);
+  const internal = await keyring.getFirstPage();
+  lattice.insertSafeCard(SAFECARD_MNEMONIC);
+  await keyring._connect();
+  const card = await keyring.getFirstPage();
+  assert.notDeepStrictEqual(card.map((a) => a.address), internal.map((a) => a.address));
+  assert.strictEqual(counts.getAddresses, 2);
+});
+
+test('persists the cache only when asked to', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const { keyring } = createKeyring({ lattice });
+  await keyring.getFirstPage();
+  assert.strictEqual((await keyring.serialize()).addressCache, undefined);
+
+  const persisting = createKeyring({ lattice, persistAddressCache: true }).keyring;
+  await persisting.getFirstPage();
+  const state = await persisting.serialize();
+  assert.deepStrictEqual(Object.keys(state.addressCache), [ lattice.getActiveWalletUID() ]);
+  const { keyring: restored, counts } = createCountingKeyring(lattice, Object.assign({ persistAddressCache: true }, state));
+  await restored.addAccounts(3);
+  assert.strictEqual(counts.getAddresses, 0);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, createKeyring, createFaultyKeyring, busyError, getError } = require('./helpers');
+
+test('adds, updates and removes address tags', async () => {
+  const { keyring } = createKeyring();
+  assert.deepStrictEqual(await keyring.setAddressTags({ [ADDRESSES[0]]: 'Alice', [ADDRESSES[1]]: 'Bob' }), {
+    added: [ ADDRESSES[0], ADDRESSES[1] ], updated: [], unchanged: [], conflicts: [],
+  });
+  const result = await keyring.setAddressTags({ [ADDRESSES[0]]: 'Alice', [ADDRESSES[1]]: 'Robert' });
+  assert.deepStrictEqual(result, {
+    added: [],
+    updated: [],
+    unchanged: [ ADDRESSES[0] ],
+    conflicts: [ { address: ADDRESSES[1], existing: 'Bob', requested: 'Robert' } ],
+  });
+  const overwritten = await keyring.setAddressTags({ [ADDRESSES[1]]: 'Robert' }, { overwrite: true });
+  assert.deepStrictEqual(overwritten.updated, [ ADDRESSES[1] ]);
+  assert.deepStrictEqual(await keyring.getAddressTags(), { [ADDRESSES[0]]: 'Alice', [ADDRESSES[1]]: 'Robert' });
+  assert.deepStrictEqual(await keyring.removeAddressTags([ ADDRESSES[0] ]), [ ADDRESSES[0] ]);
+  assert.deepStrictEqual(await keyring.getAddressTags(), { [ADDRESSES[1]]: 'Robert' });
+});
+
+test('validates address tags', async () => {
+  const { keyring } = createKeyring();
+  for (const tags of [ { '0x1234': 'Short' }, { [ADDRESSES[0]]: '' }, { [ADDRESSES[0]]: 'x'.repeat(100) } ]) {
+    assert.strictEqual((await getError(keyring.setAddressTags(tags))).code, 'INVALID_ARGUMENT');
+  }
+});
+
+test('reports tags added by another app as conflicts', async () => {
+  const { keyring, lattice } = createKeyring();
+  await keyring.setAddressTags({ [ADDRESSES[0]]: 'Alice' });
+  // Add a tag behind the keyring's back, after it fetched the existing ones
+  const other = createKeyring({ lattice }).keyring;
+  const getRecords = keyring._getAddressTagRecords.bind(keyring);
+  keyring._getAddressTagRecords = async () => {
+    const records = await getRecords();
+    await other.setAddressTags({ [ADDRESSES[2]]: 'Carol' });
+    return records;
+  };
+  const result = await keyring.setAddressTags({ [ADDRESSES[1]]: 'Bob', [ADDRESSES[2]]: 'Charlie' });
+  assert.deepStrictEqual(result.added, [ ADDRESSES[1] ]);
+  assert.deepStrictEqual(result.conflicts, [ { address: ADDRESSES[2], existing: null, requested: 'Charlie' } ]);
+});
+
+test('restores overwritten tags if their replacements can not be added', async () => {
+  const { keyring, faults } = createFaultyKeyring();
+  await keyring.setAddressTags({ [ADDRESSES[0]]: 'Alice', [ADDRESSES[1]]: 'Bob' });
+  // Only the first attempt fails, as a flaky connection would
+  faults.error = busyError();
+  faults.addKvRecords = 1;
+  const err = await getError(keyring.setAddressTags({ [ADDRESSES[0]]: 'Alicia', [ADDRESSES[1]]: 'Robert' }, { overwrite: true }));
+  assert.strictEqual(err.code, 'DEVICE_BUSY');
+  assert.deepStrictEqual(await keyring.getAddressTags(), { [ADDRESSES[0]]: 'Alice', [ADDRESSES[1]]: 'Bob' });
+});
+
+test('restores overwritten tags if the request is cancelled', async () => {
+  const { keyring, faults } = createFaultyKeyring();
+  await keyring.setAddressTags({ [ADDRESSES[0]]: 'Alice' });
+  const controller = new AbortController();
+  faults.error = () => {
+    controller.abort();
+    return busyError();
+  };
+  faults.addKvRecords = 1;
+  const err = await getError(keyring.setAddressTags({ [ADDRESSES[0]]: 'Alicia' }, { overwrite: true, signal: controller.signal }));
+  assert.strictEqual(err.code, 'REQUEST_CANCELLED');
+  // The restore finishes before the next request runs
+  assert.deepStrictEqual(await keyring.getAddressTags(), { [ADDRESSES[0]]: 'Alice' });
+});
+
+test('pushes account labels to the Lattice', async () => {
+  const { keyring } = createKeyring({ syncAddressTags: true });
+  await keyring.addAccounts(2);
+  const [ first, second ] = await keyring.getAccounts();
+  await keyring.setAccountLabel(first, 'Main');
+  assert.deepStrictEqual(await keyring.getAddressTags(), { [first]: 'Main' });
+  await keyring.setAccountLabel(first, null);
+  assert.deepStrictEqual(await keyring.getAddressTags(), {});
+
+  const { keyring: unsynced } = createKeyring();
+  await unsynced.addAccounts(2);
+  await unsynced.setAccountLabel(first, 'Main');
+  await unsynced.setAccountLabel(second, 'Savings');
+  assert.deepStrictEqual(await unsynced.getAddressTags(), {});
+  assert.deepStrictEqual(unsynced.getAccountLabels(), { [first]: 'Main', [second]: 'Savings' });
+  assert.deepStrictEqual((await unsynced.syncAccountLabels()).added, [ first, second ]);
+  assert.deepStrictEqual(await unsynced.getAddressTags(), { [first]: 'Main', [second]: 'Savings' });
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+const { hashTransaction, hashPersonalMessage, hashTypedData } = require('../lib/signatures');
+const SAFECARD_MNEMONIC = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+const TOKEN = '0x' + '11'.repeat(20);
+const TYPED_DATA = {
+  types: {
+    EIP712Domain: [ { name: 'name', type: 'string' }, { name: 'chainId', type: 'uint256' } ],
+    Mail: [ { name: 'contents', type: 'string' } ],
+  },
+  primaryType: 'Mail',
+  domain: { name: 'Test', chainId: 10 },
+  message: { contents: 'hello' },
+};
+
+function toHex (buf) {
+  return '0x' + Buffer.from(buf).toString('hex');
+}
+
+test('records signed requests', async () => {
+  const { keyring, lattice } = createKeyring({ auditLog: true });
+  await keyring.addAccounts(1);
+  const walletUID = lattice.getActiveWalletUID();
+  const transfer = '0xa9059cbb' + ADDRESSES[1].slice(2).padStart(64, '0') + '1'.padStart(64, '0');
+  const tx = createTx({ to: TOKEN, value: 0, data: transfer });
+  await keyring.signTransaction(ADDRESSES[0], tx);
+  await keyring.signPersonalMessage(ADDRESSES[0], 'hello');
+  await keyring.signTypedData(ADDRESSES[0], TYPED_DATA, { version: 'V4' });
+  await keyring.signMessage(ADDRESSES[0], 'hi');
+  const entries = await keyring.auditLog.getEntries();
+  assert.deepStrictEqual(entries.map(({ method, type, chainId, decodedMethod }) => [ method, type, chainId, decodedMethod ]), [
+    [ 'signTransaction', 'transaction', 1, 'transfer(address,uint256)' ],
+    [ 'signPersonalMessage', 'message', null, null ],
+    [ 'signTypedData', 'message', 10, 'Mail' ],
+    [ 'signMessage', 'message', null, null ],
+  ]);
+  entries.forEach((entry) => {
+    assert.strictEqual(entry.signer, ADDRESSES[0]);
+    assert.strictEqual(entry.walletUID, walletUID);
+    assert.strictEqual(entry.hdPath, "m/44'/60'/0'/0/0");
+    assert.strictEqual(entry.outcome, 'signed');
+    assert.strictEqual(entry.errorCode, null);
+    assert.ok(!isNaN(Date.parse(entry.timestamp)));
+  });
+  assert.deepStrictEqual(entries.map((entry) => entry.hash), [
+    toHex(hashTransaction(tx)),
+    toHex(hashPersonalMessage('hello')),
+    toHex(hashTypedData(TYPED_DATA)),
+    toHex(hashPersonalMessage('hi')),
+  ]);
+});
+
+test('records rejected, blocked and failed requests', async () => {
+  let approve = false;
+  const { keyring, lattice } = createKeyring({
+    auditLog: true,
+    policy: { allowedChainIds: [ 1 ] },
+  }, { approve: () => approve });
+  await keyring.addAccounts(1);
+  assert.strictEqual((await getError(keyring.signPersonalMessage(ADDRESSES[0], 'hi'))).code, 'USER_REJECTED');
+  approve = true;
+  assert.strictEqual((await getError(keyring.signTransaction(ADDRESSES[0], createTx({}, 10)))).code, 'POLICY_VIOLATION');
+  // The signer is not in the active wallet once a SafeCard is inserted
+  lattice.insertSafeCard(SAFECARD_MNEMONIC);
+  await keyring._connect();
+  await getError(keyring.signTransaction(ADDRESSES[0], createTx()));
+  const entries = await keyring.auditLog.getEntries();
+  assert.deepStrictEqual(entries.map(({ outcome, errorCode }) => [ outcome, errorCode ]), [
+    [ 'rejected', 'USER_REJECTED' ],
+    [ 'blocked', 'POLICY_VIOLATION' ],
+    [ 'failed', 'WRONG_ACTIVE_WALLET' ],
+  ]);
+  // Signers which are not keyring accounts are recorded without a path
+  await getError(keyring.signPersonalMessage(ADDRESSES[2], 'hi'));
+  const [ unknown ] = await keyring.auditLog.getEntries({ signer: ADDRESSES[2] });
+  assert.deepStrictEqual([ unknown.walletUID, unknown.hdPath, unknown.errorCode ], [ null, null, 'SIGNER_NOT_FOUND' ]);
+});
+
+test('records every request of a batch', async () => {
+  const { keyring } = createKeyring({ auditLog: true }, { approve: (req) => req.data.payload.toString() !== 'no' });
+  await keyring.addAccounts(1);
+  const results = await keyring.signMessages(ADDRESSES[0], [ 'yes', 'no', 'later' ]);
+  assert.strictEqual(results[0].error, null);
+  const entries = await keyring.auditLog.getEntries();
+  assert.deepStrictEqual(entries.map(({ method, outcome }) => [ method, outcome ]), [
+    [ 'signMessages', 'signed' ],
+    [ 'signMessages', 'rejected' ],
+    [ 'signMessages', 'skipped' ],
+  ]);
+});
+
+test('filters and exports entries', async () => {
+  const log = new LatticeKeyring.AuditLog();
+  await log.record({ timestamp: '2024-01-01T00:00:00.000Z', method: 'signTransaction', signer: ADDRESSES[0], outcome: 'signed' });
+  await log.record({ timestamp: '2024-02-01T00:00:00.000Z', method: 'signTypedData', signer: ADDRESSES[1], outcome: 'failed' });
+  await log.record({ timestamp: '2024-03-01T00:00:00.000Z', method: '=HYPERLINK("x")', signer: ADDRESSES[0], outcome: 'signed' });
+  assert.strictEqual((await log.getEntries({ since: '2024-01-15' })).length, 2);
+  assert.strictEqual((await log.getEntries({ signer: ADDRESSES[0].toUpperCase().replace('0X', '0x') })).length, 2);
+  assert.strictEqual((await log.getEntries({ outcome: 'failed' })).length, 1);
+
+  const json = JSON.parse(await log.exportJSON({ outcome: 'failed' }));
+  assert.deepStrictEqual(Object.keys(json[0]), [
+    'timestamp', 'method', 'type', 'signer', 'walletUID', 'hdPath', 'chainId', 'hash', 'decodedMethod', 'outcome',
+    'errorCode',
+  ]);
+  assert.strictEqual(json[0].type, null);
+
+  const csv = (await log.exportCSV()).split('\n');
+  assert.strictEqual(csv[0], 'timestamp,method,type,signer,walletUID,hdPath,chainId,hash,decodedMethod,outcome,errorCode');
+  assert.strictEqual(csv[1], `2024-01-01T00:00:00.000Z,signTransaction,,${ADDRESSES[0]},,,,,,signed,`);
+  // Formulas are neutralised and quotes escaped
+  assert.strictEqual(csv[3].split(',')[1], '"\'=HYPERLINK(""x"")"');
+});
+
+test('applies the retention limits', async () => {
+  const log = new LatticeKeyring.AuditLog({ maxEntries: 2, maxAge: 86400000 });
+  await log.record({ timestamp: new Date(Date.now() - 2 * 86400000).toISOString(), method: 'old' });
+  assert.deepStrictEqual(await log.getEntries(), []);
+  for (const method of [ 'a', 'b', 'c' ]) {
+    await log.record({ method });
+  }
+  assert.deepStrictEqual((await log.getEntries()).map((entry) => entry.method), [ 'b', 'c' ]);
+  await log.clear();
+  assert.deepStrictEqual(await log.getEntries(), []);
+});
+
+test('uses custom storage and reports storage failures without failing requests', async () => {
+  assert.throws(() => new LatticeKeyring.AuditLog({ storage: {} }), { code: 'INVALID_ARGUMENT' });
+  const stored = [];
+  const storage = {
+    append: async (entry) => {
+      if (entry.method === 'signPersonalMessage') {
+        throw new Error('Disk full');
+      }
+      stored.push(entry);
+    },
+    getEntries: async () => stored.slice(),
+    setEntries: async () => {},
+  };
+  const { keyring } = createKeyring({ auditLog: { storage } });
+  const auditErrors = [];
+  keyring.on('auditError', (err) => auditErrors.push(err));
+  await keyring.addAccounts(1);
+  assert.match(await keyring.signPersonalMessage(ADDRESSES[0], 'hi'), /^0x[0-9a-f]{130}$/);
+  await keyring.signTransaction(ADDRESSES[0], createTx());
+  assert.deepStrictEqual(auditErrors.map((err) => err.message), [ 'Disk full' ]);
+  assert.deepStrictEqual(stored.map((entry) => entry.method), [ 'signTransaction' ]);
+
+  // Without the option, nothing is recorded
+  assert.strictEqual(createKeyring().keyring.auditLog, null);
+});
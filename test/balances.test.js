@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, ADDRESSES, createKeyring, getError } = require('./helpers');
+
+// Balance provider with a balance of 1 for `ADDRESSES[1]` and a nonce of 1
+// for `ADDRESSES[2]`. Addresses in `failing` can't be looked up.
+function createBalanceProvider (failing=[]) {
+  return {
+    getBalances: async (addresses) => addresses.map((address) => {
+      address = address.toLowerCase();
+      if (failing.includes(address)) {
+        return { balance: null, nonce: null };
+      }
+      return {
+        balance: address === ADDRESSES[1] ? '0x1' : '0x0',
+        nonce: address === ADDRESSES[2] ? '0x1' : '0x0',
+      };
+    }),
+  };
+}
+
+test('adds balances and nonces to account pages', async () => {
+  const { keyring } = createKeyring({ balanceProvider: createBalanceProvider() });
+  const page = await keyring.getFirstPage();
+  assert.strictEqual(page.length, 5);
+  assert.deepStrictEqual(
+    page.slice(0, 3).map(({ address, balance, nonce, index }) => [ address.toLowerCase(), balance, nonce, index ]),
+    [ [ ADDRESSES[0], '0x0', '0x0', 0 ], [ ADDRESSES[1], '0x1', '0x0', 1 ], [ ADDRESSES[2], '0x0', '0x1', 2 ] ]
+  );
+});
+
+test('pages list null balances without a provider or if the lookup fails', async () => {
+  const failing = {
+    getBalances: async () => {
+      throw new Error('Node unavailable');
+    },
+  };
+  for (const balanceProvider of [ undefined, failing ]) {
+    const { keyring } = createKeyring({ balanceProvider });
+    const page = await keyring.getFirstPage();
+    assert.ok(page.every(({ balance, nonce }) => balance === null && nonce === null));
+  }
+});
+
+test('looks up balances through an EIP1193 provider', async () => {
+  const provider = new LatticeKeyring.JsonRpcBalanceProvider({
+    request: async ({ method, params }) => {
+      if (params[0] === ADDRESSES[1]) {
+        throw new Error('Rate limited');
+      }
+      return method === 'eth_getBalance' ? '0x5' : '0x2';
+    },
+  });
+  assert.deepStrictEqual(await provider.getBalances([ ADDRESSES[0], ADDRESSES[1] ]), [
+    { balance: '0x5', nonce: '0x2' },
+    { balance: null, nonce: null },
+  ]);
+});
+
+test('looks up balances from a JSON-RPC node in one batch', async (t) => {
+  const requests = [];
+  t.mock.method(global, 'fetch', async (url, { body }) => {
+    const reqs = JSON.parse(body);
+    requests.push({ url, reqs });
+    // Nodes may answer in any order and fail single calls
+    const results = reqs.map(({ id, method }) => {
+      return method === 'eth_getBalance' ? { id, result: `0x${id}` } : { id, error: { code: -32000 } };
+    });
+    return { ok: true, json: async () => results.reverse() };
+  });
+  const provider = new LatticeKeyring.JsonRpcBalanceProvider('https://rpc.test');
+  assert.deepStrictEqual(await provider.getBalances([ ADDRESSES[0], ADDRESSES[1] ]), [
+    { balance: '0x1', nonce: null },
+    { balance: '0x3', nonce: null },
+  ]);
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].url, 'https://rpc.test');
+  assert.deepStrictEqual(requests[0].reqs.map((req) => req.method), [
+    'eth_getBalance', 'eth_getTransactionCount', 'eth_getBalance', 'eth_getTransactionCount',
+  ]);
+});
+
+test('reports JSON-RPC HTTP errors', async (t) => {
+  t.mock.method(global, 'fetch', async () => ({ ok: false, status: 503 }));
+  const provider = new LatticeKeyring.JsonRpcBalanceProvider('https://rpc.test');
+  const err = await getError(provider.getBalances([ ADDRESSES[0] ]));
+  assert.strictEqual(err.code, 'BALANCE_LOOKUP_FAILED');
+  assert.throws(() => new LatticeKeyring.JsonRpcBalanceProvider({}), { code: 'INVALID_ARGUMENT' });
+});
+
+test('discovers accounts with a balance or nonce', async () => {
+  const { keyring } = createKeyring({ balanceProvider: createBalanceProvider() });
+  const discovered = await keyring.discoverAccounts({ paths: [ 'bip44' ], gapLimit: 2 });
+  assert.deepStrictEqual(
+    Object.values(discovered.paths)[0].map(({ address }) => address.toLowerCase()),
+    [ ADDRESSES[1], ADDRESSES[2] ]
+  );
+});
+
+test('discovery fails if an address can not be looked up', async () => {
+  const { keyring } = createKeyring({ balanceProvider: createBalanceProvider([ ADDRESSES[0] ]) });
+  const err = await getError(keyring.discoverAccounts({ paths: [ 'bip44' ], gapLimit: 2 }));
+  assert.strictEqual(err.code, 'BALANCE_LOOKUP_FAILED');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+
+test('signs a batch of transactions', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const results = await keyring.signTransactions(ADDRESSES[0], [ createTx({ nonce: 0 }), createTx({ nonce: 1 }) ]);
+  assert.deepStrictEqual(results.map((r) => r.status), [ 'signed', 'signed' ]);
+  results.forEach(({ result }, nonce) => {
+    assert.strictEqual(result.getSenderAddress().toString(), ADDRESSES[0]);
+    assert.strictEqual(Number(result.nonce), nonce);
+  });
+});
+
+test('stops a batch at the first failure and skips the remaining items', async () => {
+  let prompts = 0;
+  const { keyring } = createKeyring({}, { approve: async () => ++prompts !== 2 });
+  await keyring.addAccounts(1);
+  const progress = [];
+  keyring.on('batchProgress', ({ index, status }) => progress.push(`${index}:${status}`));
+  const results = await keyring.signMessages(ADDRESSES[0], [ 'one', 'two', 'three' ]);
+  assert.deepStrictEqual(results.map((r) => r.status), [ 'signed', 'failed', 'skipped' ]);
+  assert.match(results[0].result, /^0x[0-9a-f]{130}$/);
+  assert.strictEqual(results[1].error.code, 'USER_REJECTED');
+  assert.strictEqual(results[2].error.code, 'BATCH_ABORTED');
+  // The skipped item was never sent to the Lattice
+  assert.strictEqual(prompts, 2);
+  assert.deepStrictEqual(progress, [ '0:pending', '0:signed', '1:pending', '1:failed', '2:skipped' ]);
+});
+
+test('rejects batches which are not arrays', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  assert.strictEqual((await getError(keyring.signTransactions(ADDRESSES[0], createTx()))).code, 'INVALID_ARGUMENT');
+  assert.strictEqual((await getError(keyring.signMessages(ADDRESSES[0], 'hello'))).code, 'INVALID_ARGUMENT');
+});
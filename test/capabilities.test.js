@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, createKeyring, getError } = require('./helpers');
+const TYPED_DATA = {
+  types: {
+    EIP712Domain: [ { name: 'name', type: 'string' } ],
+    Mail: [ { name: 'contents', type: 'string' } ],
+  },
+  primaryType: 'Mail',
+  domain: { name: 'Test' },
+  message: { contents: 'hello' },
+};
+
+test('reports no capabilities before connecting', () => {
+  const { keyring } = createKeyring();
+  assert.strictEqual(keyring.getCapabilities(), null);
+});
+
+test('reports the features supported by the connected firmware', async () => {
+  const { keyring } = createKeyring({}, { fwVersion: { minor: 14, fix: 2 } });
+  await keyring.unlock();
+  const { fwVersion, features } = keyring.getCapabilities();
+  assert.strictEqual(fwVersion, '0.14.2');
+  assert.deepStrictEqual(Object.keys(features), [
+    'eip712', 'eip1559', 'addressTags', 'genericSigning', 'evmGenericSigning', 'decoderRecursion',
+    'blobTransactions', 'eip7702',
+  ]);
+  assert.deepStrictEqual(
+    Object.keys(features).filter((feature) => features[feature].supported),
+    [ 'eip712', 'eip1559', 'addressTags', 'genericSigning' ]
+  );
+  assert.strictEqual(features.eip712.minFwVersion, '0.10.5');
+  assert.strictEqual(features.evmGenericSigning.minFwVersion, '0.15.0');
+  assert.strictEqual(typeof features.evmGenericSigning.description, 'string');
+});
+
+test('reports blob and set-code transaction support from v0.18.0', async () => {
+  const { keyring, lattice } = createKeyring({}, { fwVersion: { minor: 17, fix: 9 } });
+  await keyring.unlock();
+  const before = keyring.getCapabilities().features;
+  assert.deepStrictEqual([ before.blobTransactions.supported, before.eip7702.supported ], [ false, false ]);
+  assert.strictEqual(before.blobTransactions.minFwVersion, '0.18.0');
+  assert.strictEqual(before.eip7702.minFwVersion, '0.18.0');
+  lattice.setFwVersion({ minor: 18, fix: 0 });
+  await keyring._connect();
+  const after = keyring.getCapabilities().features;
+  assert.deepStrictEqual([ after.blobTransactions.supported, after.eip7702.supported ], [ true, true ]);
+});
+
+test('compares patch versions', async () => {
+  const { keyring, lattice } = createKeyring({}, { fwVersion: { minor: 10, fix: 4 } });
+  await keyring.unlock();
+  assert.strictEqual(keyring.getCapabilities().features.eip712.supported, false);
+  lattice.setFwVersion({ minor: 10, fix: 5 });
+  await keyring._connect();
+  assert.strictEqual(keyring.getCapabilities().features.eip712.supported, true);
+});
+
+test('rejects requests which need newer firmware', async () => {
+  const { keyring } = createKeyring({}, { fwVersion: { minor: 10, fix: 4 } });
+  await keyring.addAccounts(1);
+  const typedData = await getError(keyring.signTypedData(ADDRESSES[0], TYPED_DATA, { version: 'V4' }));
+  assert.strictEqual(typedData.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+  assert.match(typedData.message, /requires Lattice firmware v0\.10\.5 or later \(connected: v0\.10\.4\)/);
+  const raw = await getError(keyring.signRaw({ address: ADDRESSES[0], payload: 'hi' }));
+  assert.strictEqual(raw.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+  const tags = await getError(keyring.getAddressTags());
+  assert.strictEqual(tags.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+});
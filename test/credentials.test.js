@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, createKeyring, getError } = require('./helpers');
+const { ConnectorCredentialProvider, PairingCredentialProvider } = require('../lib/credentials');
+const CONNECTOR_URL = 'https://connector.test';
+
+function createPairingKeyring (getPairingCode) {
+  const lattice = new LatticeKeyring.SimulatedLattice({ requirePairing: true });
+  const credentialProvider = new PairingCredentialProvider({
+    deviceID: lattice.deviceID,
+    getPairingCode: getPairingCode || (async () => lattice.pairingCode),
+  });
+  return Object.assign(createKeyring({ lattice, credentialProvider, creds: undefined }), { credentialProvider });
+}
+
+// Stub the browser globals the connector uses. `tab` is what `window.open`
+// returns (Chromium) or `null` to use the Firefox tab APIs.
+function stubBrowser ({ tab, firefox }={}) {
+  const listeners = [];
+  global.window = {
+    open: () => tab || null,
+    addEventListener: (type, fn) => listeners.push(fn),
+    removeEventListener: (type, fn) => listeners.splice(listeners.indexOf(fn), 1),
+  };
+  if (firefox) {
+    global.browser = { tabs: firefox };
+  }
+  return listeners;
+}
+
+function restoreBrowser () {
+  delete global.window;
+  delete global.browser;
+}
+
+test('pairs headlessly and tracks the active wallet', async () => {
+  const { keyring, lattice } = createPairingKeyring();
+  await keyring.unlock();
+  assert.strictEqual(keyring.walletUID, lattice.getActiveWalletUID());
+  const state = await keyring.serialize();
+  assert.strictEqual(state.walletUID, lattice.getActiveWalletUID());
+  assert.strictEqual(state.creds.deviceID, lattice.deviceID);
+  // The pairing is reused by a keyring restored from the serialized state
+  const restored = createKeyring(Object.assign({ lattice }, state)).keyring;
+  assert.strictEqual((await restored.addAccounts(1)).length, 1);
+});
+
+test('rejects a wrong pairing code', async () => {
+  const { keyring } = createPairingKeyring(async () => 'WRONG');
+  const err = await getError(keyring.unlock());
+  assert.strictEqual(err.code, 'NOT_PAIRED');
+});
+
+test('requires a device ID and a pairing code callback', () => {
+  assert.throws(() => new PairingCredentialProvider({ getPairingCode: () => {} }), { code: 'INVALID_ARGUMENT' });
+  assert.throws(() => new PairingCredentialProvider({ deviceID: 'abc' }), { code: 'INVALID_ARGUMENT' });
+});
+
+test('connector resolves credentials posted by the connector window', async (t) => {
+  t.after(restoreBrowser);
+  const listeners = stubBrowser({ tab: { closed: false, close () {} } });
+  const provider = new ConnectorCredentialProvider({ url: CONNECTOR_URL });
+  const pending = provider.getCredentials({ appName: 'test' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(listeners.length, 1);
+  // Messages from other origins are ignored
+  listeners[0]({ origin: 'https://evil.test', data: '{}' });
+  listeners[0]({ origin: CONNECTOR_URL, data: JSON.stringify({ deviceID: 'abc', password: 'pw' }) });
+  assert.deepStrictEqual(await pending, { deviceID: 'abc', password: 'pw' });
+  assert.strictEqual(listeners.length, 0);
+});
+
+test('connector rejects when its window is closed', async (t) => {
+  t.after(restoreBrowser);
+  const tab = { closed: false, close () {} };
+  const listeners = stubBrowser({ tab });
+  const provider = new ConnectorCredentialProvider({ url: CONNECTOR_URL });
+  const pending = provider.getCredentials();
+  tab.closed = true;
+  assert.strictEqual((await getError(pending)).code, 'CONNECTOR_CLOSED');
+  assert.strictEqual(listeners.length, 0);
+});
+
+test('connector reports a failure to close the Firefox tab', async (t) => {
+  t.after(restoreBrowser);
+  const creds = Buffer.from(JSON.stringify({ deviceID: 'abc', password: 'pw' })).toString('base64');
+  stubBrowser({
+    firefox: {
+      create: async () => ({ id: 1 }),
+      query: async () => [ { id: 1, url: `${CONNECTOR_URL}?keyring=test&loginCache=${creds}` } ],
+      remove: async () => {
+        throw new Error('No tab with id: 1');
+      },
+    },
+  });
+  const provider = new ConnectorCredentialProvider({ url: CONNECTOR_URL });
+  const err = await getError(provider.getCredentials());
+  assert.strictEqual(err.code, 'CONNECTOR_FAILED');
+  assert.match(err.cause.message, /No tab/);
+});
+
+test('connector reads credentials from the Firefox tab URL', async (t) => {
+  t.after(restoreBrowser);
+  const creds = Buffer.from(JSON.stringify({ deviceID: 'abc', password: 'pw' })).toString('base64');
+  const removed = [];
+  stubBrowser({
+    firefox: {
+      create: async () => ({ id: 1 }),
+      query: async () => [ { id: 1, url: `${CONNECTOR_URL}?keyring=test&loginCache=${creds}` } ],
+      remove: async (id) => removed.push(id),
+    },
+  });
+  const provider = new ConnectorCredentialProvider({ url: CONNECTOR_URL });
+  assert.deepStrictEqual(await provider.getCredentials(), { deviceID: 'abc', password: 'pw' });
+  assert.deepStrictEqual(removed, [ 1 ]);
+});
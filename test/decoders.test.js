@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rlp = require('rlp');
+const SDK = require('gridplus-sdk');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { LatticeKeyring, ADDRESSES, createKeyring, createTx } = require('./helpers');
+const TOKEN = '0x' + '22'.repeat(20);
+const TRANSFER_ABI = [ {
+  type: 'function',
+  name: 'transfer',
+  inputs: [ { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' } ],
+  outputs: [],
+  stateMutability: 'nonpayable',
+} ];
+
+function getSelector (signature) {
+  return Buffer.from(keccak256(Buffer.from(signature))).slice(0, 4).toString('hex');
+}
+
+// Calldata for `signature` with each argument given as a 32 byte hex word
+function encodeCall (signature, words) {
+  return Buffer.from(getSelector(signature) + words.join(''), 'hex');
+}
+
+function word (hex) {
+  return hex.replace(/^0x/, '').padStart(64, '0');
+}
+
+const TRANSFER = encodeCall('transfer(address,uint256)', [ word(ADDRESSES[1]), word('05') ]);
+
+// The function name and parameter names of an encoded decoder definition
+function describeDef (def) {
+  const [ name, ...params ] = rlp.decode(def);
+  return [ Buffer.from(name).toString(), params.map(([ paramName ]) => Buffer.from(paramName).toString()) ];
+}
+
+test('decodes common calls from the bundled signatures', async () => {
+  const registry = new LatticeKeyring.DecoderRegistry({ allowRemote: false });
+  assert.deepStrictEqual(describeDef(await registry.getDecoder(TRANSFER, TOKEN, 1)), [ 'transfer', [ '#1', '#2' ] ]);
+  assert.strictEqual(await registry.getDecoder(encodeCall('unknown()', []), TOKEN, 1), null);
+  assert.strictEqual(await registry.getDecoder('0x', TOKEN, 1), null);
+  registry.registerSignatures([ 'unknown()' ]);
+  assert.deepStrictEqual(describeDef(await registry.getDecoder(encodeCall('unknown()', []), TOKEN, 1)), [ 'unknown', [] ]);
+});
+
+test('prefers ABIs registered for the contract', async () => {
+  const registry = new LatticeKeyring.DecoderRegistry({ allowRemote: false });
+  registry.registerAbi(1, TOKEN, TRANSFER_ABI);
+  assert.deepStrictEqual(describeDef(await registry.getDecoder(TRANSFER, TOKEN, 1)), [ 'transfer', [ 'to', 'amount' ] ]);
+  // ABIs only apply to their own chain and contract
+  assert.deepStrictEqual(describeDef(await registry.getDecoder(TRANSFER, TOKEN, 5)), [ 'transfer', [ '#1', '#2' ] ]);
+  registry.removeAbi(1, TOKEN);
+  assert.deepStrictEqual(describeDef(await registry.getDecoder(TRANSFER, TOKEN, 1)), [ 'transfer', [ '#1', '#2' ] ]);
+});
+
+test('decodes nested calls', async () => {
+  const registry = new LatticeKeyring.DecoderRegistry({ allowRemote: false });
+  // multicall(bytes[]) with a single transfer
+  const nested = TRANSFER.toString('hex').padEnd(Math.ceil(TRANSFER.length / 32) * 64, '0');
+  const multicall = encodeCall('multicall(bytes[])', [
+    word('20'), word('01'), word('20'), word(TRANSFER.length.toString(16)), nested,
+  ]);
+  const flat = await registry.getDecoder(multicall, TOKEN, 1, { recurse: false });
+  const recursive = await registry.getDecoder(multicall, TOKEN, 1);
+  assert.deepStrictEqual(describeDef(recursive), [ 'multicall', [ '#1' ] ]);
+  assert.ok(recursive.length > flat.length);
+  assert.ok(recursive.includes(Buffer.from('transfer')));
+});
+
+test('follows the configured lookup order', async (t) => {
+  const remote = t.mock.method(SDK.Utils, 'fetchCalldataDecoder', async () => ({ def: Buffer.from('remote') }));
+  const registry = new LatticeKeyring.DecoderRegistry({ order: [ 'cache', 'remote', 'local' ] });
+  registry.registerAbi(1, TOKEN, TRANSFER_ABI);
+  assert.deepStrictEqual(await registry.getDecoder(TRANSFER, TOKEN, 1), Buffer.from('remote'));
+  // The remote decoder is cached
+  assert.deepStrictEqual(await registry.getDecoder(TRANSFER, TOKEN, 1), Buffer.from('remote'));
+  assert.strictEqual(remote.mock.callCount(), 1);
+  registry.clearCache();
+  registry.setOrder([ 'none', 'local' ]);
+  assert.strictEqual(await registry.getDecoder(TRANSFER, TOKEN, 1), null);
+  assert.throws(() => registry.setOrder([ 'local', 'etherscan' ]), { code: 'INVALID_ARGUMENT' });
+});
+
+test('never looks up decoders remotely if remote lookups are disabled', async (t) => {
+  const remote = t.mock.method(SDK.Utils, 'fetchCalldataDecoder', async () => ({ def: Buffer.from('remote') }));
+  const registry = new LatticeKeyring.DecoderRegistry({ allowRemote: false, order: [ 'remote', 'selectors' ] });
+  assert.deepStrictEqual(describeDef(await registry.getDecoder(TRANSFER, TOKEN, 1)), [ 'transfer', [ '#1', '#2' ] ]);
+  assert.strictEqual(remote.mock.callCount(), 0);
+});
+
+test('attaches decoders to transaction requests', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice();
+  const requests = [];
+  const { keyring } = createKeyring({
+    lattice,
+    clientFactory: (setupData) => {
+      const client = lattice.createClient(setupData);
+      const sign = client.sign.bind(client);
+      client.sign = (req) => {
+        requests.push(req.data);
+        return sign(req);
+      };
+      return client;
+    },
+  });
+  keyring.decoderRegistry.registerAbi(1, TOKEN, TRANSFER_ABI);
+  await keyring.addAccounts(1);
+  await keyring.signTransaction(ADDRESSES[0], createTx({ to: TOKEN, value: 0, data: TRANSFER }));
+  await keyring.signTransaction(ADDRESSES[0], createTx());
+  assert.deepStrictEqual(describeDef(requests[0].decoder), [ 'transfer', [ 'to', 'amount' ] ]);
+  assert.strictEqual(requests[1].decoder, undefined);
+});
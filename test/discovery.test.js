@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, createKeyring, getError } = require('./helpers');
+const BIP44 = "m/44'/60'/0'/0/x";
+const LEDGER_LIVE = "m/44'/60'/x'/0/0";
+
+test('scans each path until the gap limit', async () => {
+  const { keyring } = createKeyring();
+  const checked = [];
+  const used = [ ADDRESSES[0], ADDRESSES[2] ];
+  const discovered = await keyring.discoverAccounts({
+    paths: [ 'bip44' ],
+    gapLimit: 2,
+    isUsed: (address, { hdPath, index }) => {
+      checked.push(index);
+      assert.strictEqual(hdPath, BIP44);
+      return used.includes(address.toLowerCase());
+    },
+  });
+  assert.deepStrictEqual(checked, [ 0, 1, 2, 3, 4 ]);
+  assert.strictEqual(discovered.walletUID, keyring.walletUID);
+  assert.deepStrictEqual(Object.keys(discovered.paths), [ BIP44 ]);
+  assert.deepStrictEqual(
+    discovered.paths[BIP44].map(({ address, index }) => [ address.toLowerCase(), index ]),
+    [ [ ADDRESSES[0], 0 ], [ ADDRESSES[2], 2 ] ]
+  );
+});
+
+test('adds discovered accounts once', async () => {
+  const { keyring } = createKeyring();
+  const discovered = await keyring.discoverAccounts({
+    paths: [ 'bip44', 'ledgerLive' ],
+    gapLimit: 1,
+    isUsed: async (address, { index }) => index === 0,
+  });
+  // Index 0 of BIP44 and Ledger Live is the same account
+  assert.strictEqual(discovered.paths[BIP44][0].address, discovered.paths[LEDGER_LIVE][0].address);
+  const added = keyring.addDiscoveredAccounts(discovered);
+  assert.deepStrictEqual(added.map((a) => a.toLowerCase()), [ ADDRESSES[0] ]);
+  assert.deepStrictEqual(keyring.addDiscoveredAccounts(discovered), []);
+  assert.deepStrictEqual((await keyring.getAccounts()).map((a) => a.toLowerCase()), [ ADDRESSES[0] ]);
+});
+
+test('requires a way to tell used addresses apart', async () => {
+  const { keyring } = createKeyring();
+  const err = await getError(keyring.discoverAccounts({ paths: [ 'bip44' ] }));
+  assert.strictEqual(err.code, 'INVALID_ARGUMENT');
+});
+
+test('requires positive integer scan limits', async () => {
+  const { keyring } = createKeyring();
+  const isUsed = () => false;
+  for (const limits of [ { gapLimit: 0 }, { gapLimit: 2.5 }, { gapLimit: '5' }, { maxIndex: -1 }, { maxIndex: NaN }, { maxIndex: Infinity } ]) {
+    const err = await getError(keyring.discoverAccounts(Object.assign({ paths: [ 'bip44' ], isUsed }, limits)));
+    assert.strictEqual(err.code, 'INVALID_ARGUMENT');
+    assert.match(err.message, new RegExp(`\`${Object.keys(limits)[0]}\` must be a positive integer`));
+  }
+  assert.strictEqual(keyring.isUnlocked(), false);
+});
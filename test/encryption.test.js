@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ADDRESSES, CREDS, createKeyring, getError } = require('./helpers');
+const KEY = crypto.randomBytes(32);
+
+// Serialize a keyring with one account, encrypted with `encryptionKey`
+async function getEncryptedState (lattice, encryptionKey) {
+  const { keyring } = createKeyring({ lattice, encryptionKey });
+  await keyring.addAccounts(1);
+  return keyring.serialize();
+}
+
+test('encrypts credentials and session state', async () => {
+  const { lattice } = createKeyring();
+  const state = await getEncryptedState(lattice, KEY);
+  assert.strictEqual(state.creds, undefined);
+  assert.strictEqual(state.sdkState, undefined);
+  assert.strictEqual(state.encrypted.cipher, 'aes-256-gcm');
+  assert.deepStrictEqual(state.encrypted.kdf, { name: 'none' });
+  assert.ok(!JSON.stringify(state).includes(CREDS.password));
+  // Accounts are not secret
+  assert.deepStrictEqual(state.accounts.map((a) => a.address.toLowerCase()), [ ADDRESSES[0] ]);
+
+  const { keyring } = createKeyring({ lattice, creds: undefined });
+  await keyring.deserialize(state, { encryptionKey: KEY });
+  assert.deepStrictEqual(keyring.creds, CREDS);
+  assert.match(await keyring.signPersonalMessage(ADDRESSES[0], 'hi'), /^0x[0-9a-f]{130}$/);
+});
+
+test('derives a key from a passphrase', async () => {
+  const { lattice } = createKeyring();
+  const state = await getEncryptedState(lattice, 'correct horse battery staple');
+  assert.strictEqual(state.encrypted.kdf.name, 'scrypt');
+  assert.match(state.encrypted.kdf.salt, /^[0-9a-f]{32}$/);
+  const { keyring } = createKeyring({ lattice, creds: undefined });
+  await keyring.deserialize(state, { encryptionKey: 'correct horse battery staple' });
+  assert.deepStrictEqual(keyring.creds, CREDS);
+  const wrong = createKeyring({ lattice, creds: undefined }).keyring;
+  const err = await getError(wrong.deserialize(state, { encryptionKey: 'wrong' }));
+  assert.strictEqual(err.code, 'DECRYPTION_FAILED');
+});
+
+test('keeps state encrypted until a key is given', async () => {
+  const { lattice } = createKeyring();
+  const state = await getEncryptedState(lattice, KEY);
+  const { keyring } = createKeyring({ lattice, creds: undefined });
+  await keyring.deserialize(state);
+  assert.deepStrictEqual((await keyring.serialize()).encrypted, state.encrypted);
+  const err = await getError(keyring.unlock());
+  assert.strictEqual(err.code, 'ENCRYPTION_KEY_REQUIRED');
+});
+
+test('rotates the encryption key', async () => {
+  const { lattice } = createKeyring();
+  const { keyring } = createKeyring({ lattice, encryptionKey: KEY });
+  await keyring.addAccounts(1);
+  const newKey = crypto.randomBytes(32);
+  const rotated = await keyring.rotateEncryptionKey(newKey);
+  const restored = createKeyring({ lattice, creds: undefined }).keyring;
+  assert.strictEqual((await getError(restored.deserialize(rotated, { encryptionKey: KEY }))).code, 'DECRYPTION_FAILED');
+  await restored.deserialize(rotated, { encryptionKey: newKey });
+  assert.deepStrictEqual(restored.creds, CREDS);
+  const plain = await keyring.rotateEncryptionKey(null);
+  assert.strictEqual(plain.encrypted, undefined);
+  assert.deepStrictEqual(plain.creds, CREDS);
+});
+
+test('rejects invalid encryption keys', () => {
+  assert.throws(() => createKeyring({ encryptionKey: Buffer.alloc(16) }), { code: 'INVALID_ARGUMENT' });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+const { getRecoveryParam } = require('../lib/signatures');
+const { LatticeKeyringError, toKeyringError } = LatticeKeyring.errors;
+const SAFECARD_MNEMONIC = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+
+// Errors thrown by the SDK carry the Lattice's response code
+function responseError (responseCode) {
+  return Object.assign(new Error('Lattice error'), { responseCode });
+}
+
+test('rejects malformed signing requests with typed errors', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const requests = [
+    keyring.signTransaction(ADDRESSES[0], null),
+    keyring.signTransaction(ADDRESSES[0], { to: ADDRESSES[1] }),
+    keyring.signTransactions(ADDRESSES[0], [ createTx(), 'not a tx' ]),
+    keyring.signPersonalMessage(ADDRESSES[0], undefined),
+    keyring.signMessage(ADDRESSES[0], null),
+    keyring.signMessage(ADDRESSES[0], { payload: 'hi', protocol: 'unknown' }),
+    keyring.signMessages(ADDRESSES[0], [ 'hi', 42 ]),
+    keyring.signTypedData(ADDRESSES[0], '{ not json', { version: 'V4' }),
+    keyring.signTypedData(ADDRESSES[0], '1', { version: 'V4' }),
+  ];
+  for (const request of requests) {
+    const err = await getError(request);
+    assert.ok(err instanceof LatticeKeyringError, err.message);
+    assert.strictEqual(err.code, 'INVALID_ARGUMENT');
+  }
+});
+
+test('rejects requests for signers which are not available', async () => {
+  const { keyring, lattice } = createKeyring();
+  await keyring.addAccounts(1);
+  const unknown = await getError(keyring.signPersonalMessage(ADDRESSES[1], 'hi'));
+  assert.strictEqual(unknown.code, 'SIGNER_NOT_FOUND');
+  lattice.insertSafeCard(SAFECARD_MNEMONIC);
+  await keyring._connect();
+  const otherWallet = await getError(keyring.signPersonalMessage(ADDRESSES[0], 'hi'));
+  assert.strictEqual(otherWallet.code, 'WRONG_ACTIVE_WALLET');
+});
+
+test('maps SDK errors to error codes', () => {
+  const cases = [
+    [ responseError(130), 'DEVICE_BUSY' ],
+    [ responseError(131), 'DEVICE_TIMEOUT' ],
+    [ responseError(132), 'USER_REJECTED' ],
+    [ responseError(133), 'NOT_PAIRED' ],
+    [ responseError(138), 'WRONG_ACTIVE_WALLET' ],
+    [ responseError(139), 'DEVICE_LOCKED' ],
+    [ new Error('Request timeout'), 'DEVICE_TIMEOUT' ],
+    [ new Error('Error code 502: Bad Gateway'), 'RELAY_ERROR' ],
+    [ new Error('Failed to make request to device:\nfetch failed'), 'RELAY_UNREACHABLE' ],
+  ];
+  cases.forEach(([ err, code ]) => {
+    const mapped = toKeyringError(err);
+    assert.ok(mapped instanceof LatticeKeyringError);
+    assert.strictEqual(mapped.code, code);
+    assert.strictEqual(mapped.cause, err);
+  });
+  assert.strictEqual(toKeyringError(new Error('Error code 502: Bad Gateway')).status, 502);
+  const keyringError = new LatticeKeyringError('Already mapped', { code: 'X' });
+  assert.strictEqual(toKeyringError(keyringError), keyringError);
+});
+
+test('reports signatures which can not be recovered as invalid responses', () => {
+  const hash = Buffer.alloc(32, 1);
+  const sig = { r: Buffer.alloc(32, 2), s: Buffer.alloc(32, 3) };
+  // Uncompressed public key of the secp256k1 generator point
+  const pubkey = '0479be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798' +
+                 '483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8';
+  assert.throws(() => getRecoveryParam(hash, sig, pubkey), (err) => {
+    return err instanceof LatticeKeyringError && err.code === 'INVALID_DEVICE_RESPONSE';
+  });
+});
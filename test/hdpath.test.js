@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+const { HARDENED_OFFSET, getHdPathIndices, getSignerPathIndices, formatHdPath } = require('../lib/hdpath');
+const LEDGER_LIVE = "m/44'/60'/x'/0/0";
+
+test('sets HD paths from presets and templates', () => {
+  const { keyring } = createKeyring();
+  keyring.setHdPath('ledgerLive');
+  assert.strictEqual(keyring.hdPath, LEDGER_LIVE);
+  keyring.setHdPath("m/44h/60H/0'/x");
+  assert.strictEqual(keyring.hdPath, "m/44'/60'/0'/x");
+  assert.deepStrictEqual(keyring.getHdPathPresets().map((preset) => preset.name), [
+    'bip44', 'ledgerLive', 'ledgerLegacy', 'trezor',
+  ]);
+});
+
+test('rejects invalid HD paths, naming the bad segment', () => {
+  const { keyring } = createKeyring();
+  const cases = [
+    [ "44'/60'/0'/0/x", /must start with "m\/"/ ],
+    [ "m/44'/60'/abc/0/x", /segment 3 \("abc"\)/ ],
+    [ "m/44'/60'/x'/0/x", /only one segment may be "x"/ ],
+    [ "m/44'/60'/0'/0/0/x", /1-5 indices/ ],
+    [ 'm/2147483648/x', /segment 1 \("2147483648"\) is out of range/ ],
+  ];
+  cases.forEach(([ hdPath, message ]) => {
+    assert.throws(() => keyring.setHdPath(hdPath), (err) => {
+      return err.code === 'INVALID_ARGUMENT' && message.test(err.message);
+    });
+  });
+  assert.strictEqual(keyring.hdPath, "m/44'/60'/0'/0/x");
+});
+
+test('derives path indices for account indices', () => {
+  const H = HARDENED_OFFSET;
+  assert.deepStrictEqual(getHdPathIndices("m/44'/60'/0'/0/x", 3), [ H + 44, H + 60, H, 0, 3 ]);
+  assert.deepStrictEqual(getHdPathIndices(LEDGER_LIVE, 3), [ H + 44, H + 60, H + 3, 0, 0 ]);
+  // Templates without a placeholder get the index appended
+  assert.deepStrictEqual(getHdPathIndices("m/44'/60'/0'", 3), [ H + 44, H + 60, H, 3 ]);
+  assert.deepStrictEqual(getSignerPathIndices("m/44'/501'/0'/0'"), [ H + 44, H + 501, H, H ]);
+  assert.throws(() => getSignerPathIndices("m/44'/x"), { code: 'INVALID_ARGUMENT' });
+  assert.strictEqual(formatHdPath([ H + 44, H + 60, H, 0, 3 ]), "m/44'/60'/0'/0/3");
+});
+
+test('adds and signs for accounts on other paths', async () => {
+  const { keyring } = createKeyring();
+  keyring.setHdPath('ledgerLive');
+  const added = (await keyring.addAccounts(2)).map((a) => a.toLowerCase());
+  // Index 0 of Ledger Live is the first BIP44 address, the others differ
+  assert.strictEqual(added[0], ADDRESSES[0]);
+  assert.ok(!ADDRESSES.includes(added[1]));
+  const state = await keyring.serialize();
+  assert.deepStrictEqual(state.accounts.map(({ hdPath, index }) => [ hdPath, index ]), [
+    [ LEDGER_LIVE, 0 ], [ LEDGER_LIVE, 1 ],
+  ]);
+  const signed = await keyring.signTransaction(added[1], createTx());
+  assert.strictEqual(signed.getSenderAddress().toString(), added[1]);
+  // Switching paths keeps existing accounts usable
+  keyring.setHdPath('bip44');
+  assert.match(await keyring.signPersonalMessage(added[1], 'hi'), /^0x[0-9a-f]{130}$/);
+  assert.strictEqual((await getError(keyring.signPersonalMessage(ADDRESSES[1], 'hi'))).code, 'SIGNER_NOT_FOUND');
+});
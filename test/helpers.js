@@ -0,0 +1,172 @@
+// Shared setup for tests, which run the keyring against a `SimulatedLattice`
+const { Mainnet, createCustomCommon } = require('@ethereumjs/common');
+const { createTx: buildTx } = require('@ethereumjs/tx');
+const LatticeKeyring = require('..');
+
+const MNEMONIC = 'test test test test test test test test test test test junk';
+// Addresses of the first accounts of `MNEMONIC` on the standard (BIP44) path
+const ADDRESSES = [
+  '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266',
+  '0x70997970c51812dc3a010c7d01b50e0d17dc79c8',
+  '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc',
+];
+const CREDS = { deviceID: 'SimLattice', password: 'password', endpoint: null };
+
+// Create a keyring connected to a simulated Lattice. `opts` are keyring
+// options; pass `lattice` to share a simulated device between keyrings.
+function createKeyring (opts={}, latticeOpts={}) {
+  const lattice = opts.lattice || new LatticeKeyring.SimulatedLattice(latticeOpts);
+  const keyringOpts = Object.assign({
+    clientFactory: (setupData) => lattice.createClient(setupData),
+    creds: CREDS,
+    appName: 'test',
+    decoderRegistry: { allowRemote: false },
+    retry: false,
+  }, opts);
+  delete keyringOpts.lattice;
+  return { keyring: new LatticeKeyring(keyringOpts), lattice };
+}
+
+function createTx (txData={}, chainId=1) {
+  // Blob transactions need a KZG implementation, which is only called for
+  // transactions built from blobs; tests only use blob versioned hashes.
+  const common = createCustomCommon({ chainId }, Mainnet, { hardfork: 'prague', customCrypto: { kzg: {} } });
+  return buildTx(Object.assign({
+    type: 2,
+    nonce: 0,
+    gasLimit: 21000,
+    maxFeePerGas: 1000000000,
+    maxPriorityFeePerGas: 1,
+    to: ADDRESSES[2],
+    value: 1,
+  }, txData), { common });
+}
+
+// Create a keyring which counts its connections to `lattice`, its address
+// requests and the addresses they asked for. `opts` are keyring options.
+function createCountingKeyring (lattice, opts={}) {
+  const counts = { connect: 0, getAddresses: 0, addresses: 0 };
+  const { keyring } = createKeyring(Object.assign({
+    lattice,
+    clientFactory: (setupData) => {
+      const client = lattice.createClient(setupData);
+      const connect = client.connect.bind(client);
+      const getAddresses = client.getAddresses.bind(client);
+      client.connect = (deviceID) => {
+        counts.connect += 1;
+        return connect(deviceID);
+      };
+      client.getAddresses = (req) => {
+        counts.getAddresses += 1;
+        counts.addresses += req.n;
+        return getAddresses(req);
+      };
+      return client;
+    },
+  }, opts));
+  return { keyring, counts };
+}
+
+// Create a keyring whose Lattice holds each signing request on its screen
+// until `prompts.next()` approves (or, with `false`, declines) it. Calls to
+// the client are counted in `calls`. `opts` are keyring options.
+function createPromptingKeyring (opts={}) {
+  const pending = [];
+  const calls = { connect: 0, getAddresses: 0, sign: 0 };
+  const prompts = {
+    shown: [],
+    inFlight: 0,
+    maxInFlight: 0,
+    next: (approved=true) => pending.shift()(approved),
+    waitFor: async (count) => {
+      while (prompts.shown.length < count) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    },
+  };
+  const lattice = new LatticeKeyring.SimulatedLattice({
+    approve: (req) => new Promise((resolve) => {
+      prompts.shown.push(req.data.payload.toString());
+      prompts.inFlight += 1;
+      prompts.maxInFlight = Math.max(prompts.maxInFlight, prompts.inFlight);
+      pending.push((approved) => {
+        prompts.inFlight -= 1;
+        resolve(approved);
+      });
+    }),
+  });
+  const { keyring } = createKeyring(Object.assign({
+    lattice,
+    clientFactory: (setupData) => {
+      const client = lattice.createClient(setupData);
+      Object.keys(calls).forEach((method) => {
+        const fn = client[method].bind(client);
+        client[method] = (...args) => {
+          calls[method] += 1;
+          return fn(...args);
+        };
+      });
+      return client;
+    },
+  }, opts));
+  return { keyring, lattice, prompts, calls };
+}
+
+// Create a keyring whose Lattice fails the next `faults[method]` calls to
+// the client's `method` with `faults.error` (or the error returned by it, if
+// it is a function). The client's timeout for each call is recorded in
+// `calls[method]`.
+function createFaultyKeyring (opts={}) {
+  const lattice = new LatticeKeyring.SimulatedLattice();
+  const faults = { error: null };
+  const calls = {};
+  const { keyring } = createKeyring(Object.assign({
+    lattice,
+    clientFactory: (setupData) => {
+      const client = lattice.createClient(setupData);
+      [ 'connect', 'getAddresses', 'sign', 'getKvRecords', 'addKvRecords', 'removeKvRecords' ].forEach((method) => {
+        const fn = client[method].bind(client);
+        calls[method] = calls[method] || [];
+        client[method] = async (...args) => {
+          calls[method].push(client.timeout);
+          if (faults[method] > 0) {
+            faults[method] -= 1;
+            throw typeof faults.error === 'function' ? faults.error() : faults.error;
+          }
+          return fn(...args);
+        };
+      });
+      return client;
+    },
+  }, opts));
+  return { keyring, lattice, faults, calls };
+}
+
+// An error the Lattice returns while it is busy with another request
+function busyError () {
+  return Object.assign(new Error('Device busy'), { responseCode: 130 });
+}
+
+// Resolve to the error `promise` rejects with
+async function getError (promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error('Expected promise to reject.');
+}
+
+module.exports = {
+  LatticeKeyring,
+  MNEMONIC,
+  ADDRESSES,
+  CREDS,
+  createKeyring,
+  createTx,
+  createCountingKeyring,
+  createPromptingKeyring,
+  createFaultyKeyring,
+  busyError,
+  getError,
+};
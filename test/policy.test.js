@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rlp = require('rlp');
+const { LatticeKeyring, ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+const TOKEN = '0x' + '11'.repeat(20);
+const DELEGATE = '0x' + '22'.repeat(20);
+const PERMIT = {
+  types: {
+    EIP712Domain: [ { name: 'name', type: 'string' }, { name: 'chainId', type: 'uint256' } ],
+    Permit: [ { name: 'spender', type: 'address' }, { name: 'value', type: 'uint256' } ],
+  },
+  primaryType: 'Permit',
+  domain: { name: 'USD Coin', chainId: 1 },
+  message: { spender: DELEGATE, value: '1' },
+};
+
+// Create a keyring with `policy`, counting the requests sent to the Lattice
+// for signing
+function createPolicyKeyring (policy) {
+  const lattice = new LatticeKeyring.SimulatedLattice();
+  const device = { signed: 0 };
+  const { keyring } = createKeyring({
+    lattice,
+    policy,
+    clientFactory: (setupData) => {
+      const client = lattice.createClient(setupData);
+      const sign = client.sign.bind(client);
+      client.sign = (req) => {
+        device.signed += 1;
+        return sign(req);
+      };
+      return client;
+    },
+  });
+  return { keyring, device };
+}
+
+function erc20Call (selector, address, amount) {
+  return Buffer.from(selector + address.slice(2).padStart(64, '0') + amount.toString(16).padStart(64, '0'), 'hex');
+}
+
+// Run a request through `keyring` and resolve to the rule names of the
+// violations it was rejected for, or null if it was signed
+async function getViolations (request) {
+  try {
+    await request;
+    return null;
+  } catch (err) {
+    assert.strictEqual(err.code, 'POLICY_VIOLATION', err.message);
+    return err.report.results.filter((result) => !result.passed).map((result) => result.rule);
+  }
+}
+
+test('rejects blocked requests on every signing entry point', async () => {
+  const { keyring, device } = createPolicyKeyring({
+    allowOpaqueRequests: true,
+    rules: [ { name: 'blockAll', check: () => 'Blocked.' } ],
+  });
+  await keyring.addAccounts(1);
+  const address = ADDRESSES[0];
+  const tx = createTx();
+  const requests = {
+    signTransaction: () => keyring.signTransaction(address, tx),
+    signTransactions: () => keyring.signTransactions(address, [ tx ]),
+    signMessage: () => keyring.signMessage(address, 'hi'),
+    signMessages: () => keyring.signMessages(address, [ 'hi' ]),
+    signPersonalMessage: () => keyring.signPersonalMessage(address, 'hi'),
+    signTypedData: () => keyring.signTypedData(address, PERMIT, { version: 'V4' }),
+    signRaw: () => keyring.signRaw({ address, payload: 'hi' }),
+    signRawEvm: () => keyring.signRaw({ address, payload: Buffer.from(tx.getMessageToSign()), encoding: 'evm' }),
+    signRawPath: () => keyring.signRaw({ signerPath: "m/44'/501'/0'/0'", payload: 'hi', curve: 'ed25519' }),
+    signAuthorization: () => keyring.signAuthorization(address, { chainId: 1, address: DELEGATE, nonce: 0 }),
+  };
+  for (const name of Object.keys(requests)) {
+    assert.deepStrictEqual(await getViolations(requests[name]()), [ 'blockAll' ], name);
+  }
+  assert.strictEqual(device.signed, 0);
+});
+
+test('checks transactions against the built-in rules', async () => {
+  const { keyring } = createPolicyKeyring({
+    allowedChainIds: [ 1 ],
+    maxValue: { 1: 100 },
+    deniedRecipients: [ ADDRESSES[1] ],
+    allowedContracts: [ TOKEN ],
+    blockUnlimitedApprovals: true,
+  });
+  await keyring.addAccounts(1);
+  const sign = (txData, chainId) => getViolations(keyring.signTransaction(ADDRESSES[0], createTx(txData, chainId)));
+  assert.strictEqual(await sign({ value: 100 }), null);
+  assert.deepStrictEqual(await sign({}, 10), [ 'allowedChainIds' ]);
+  assert.deepStrictEqual(await sign({ value: 101 }), [ 'maxValue' ]);
+  assert.deepStrictEqual(await sign({ to: ADDRESSES[1] }), [ 'deniedRecipients' ]);
+  // ERC20 transfers are checked against the token recipient
+  const transfer = erc20Call('a9059cbb', ADDRESSES[1], 1);
+  assert.deepStrictEqual(await sign({ to: TOKEN, value: 0, data: transfer }), [ 'deniedRecipients' ]);
+  assert.deepStrictEqual(await sign({ to: DELEGATE, value: 0, data: '0x1234' }), [ 'allowedContracts' ]);
+  assert.deepStrictEqual(await sign({ to: undefined, value: 0, data: '0x1234' }), [ 'allowedContracts' ]);
+  const approve = (amount) => erc20Call('095ea7b3', DELEGATE, amount);
+  assert.strictEqual(await sign({ to: TOKEN, value: 0, data: approve(1000n) }), null);
+  assert.deepStrictEqual(await sign({ to: TOKEN, value: 0, data: approve((1n << 256n) - 1n) }), [ 'blockUnlimitedApprovals' ]);
+});
+
+test('blocks permits outside the allowed domains', async () => {
+  const { keyring } = createPolicyKeyring({
+    blockPermits: true,
+    allowedPermitDomains: [ { name: 'USD Coin', chainId: 1 } ],
+  });
+  await keyring.addAccounts(1);
+  const sign = (domain) => {
+    const typedData = Object.assign({}, PERMIT, { domain: Object.assign({}, PERMIT.domain, domain) });
+    return getViolations(keyring.signTypedData(ADDRESSES[0], typedData, { version: 'V4' }));
+  };
+  assert.strictEqual(await sign({}), null);
+  assert.deepStrictEqual(await sign({ chainId: 10 }), [ 'blockPermits' ]);
+  assert.deepStrictEqual(await sign({ name: 'Other' }), [ 'blockPermits' ]);
+});
+
+test('checks EVM encoded raw payloads as transactions', async () => {
+  const { keyring, device } = createPolicyKeyring({ allowedChainIds: [ 1 ], deniedRecipients: [ ADDRESSES[1] ] });
+  await keyring.addAccounts(1);
+  const signRaw = (payload) => getViolations(keyring.signRaw({ address: ADDRESSES[0], payload, encoding: 'evm' }));
+  const typed = (txData, chainId) => Buffer.from(createTx(txData, chainId).getMessageToSign());
+  assert.strictEqual(await signRaw(typed({})), null);
+  assert.deepStrictEqual(await signRaw(typed({}, 10)), [ 'allowedChainIds' ]);
+  assert.deepStrictEqual(await signRaw(typed({ to: ADDRESSES[1] })), [ 'deniedRecipients' ]);
+  // Legacy transactions, with and without EIP155 replay protection
+  const legacy = [ 0, 1000000000, 21000, ADDRESSES[1], 1, '0x' ];
+  assert.deepStrictEqual(await signRaw(Buffer.from(rlp.encode(legacy.concat([ 1, 0, 0 ])))), [ 'deniedRecipients' ]);
+  const unprotected = await getViolations(keyring.signRaw({
+    address: ADDRESSES[0],
+    payload: Buffer.from(rlp.encode(legacy.slice(0, 3).concat([ ADDRESSES[2], 1, '0x' ]))),
+    encoding: 'evm',
+  }));
+  assert.deepStrictEqual(unprotected, [ 'allowedChainIds' ]);
+  assert.strictEqual(device.signed, 1);
+  const err = await getError(keyring.signRaw({ address: ADDRESSES[0], payload: 'not a transaction', encoding: 'evm' }));
+  assert.strictEqual(err.code, 'INVALID_ARGUMENT');
+});
+
+test('checks EIP7702 authorizations', async () => {
+  const { keyring } = createPolicyKeyring({ allowedChainIds: [ 1 ], deniedContracts: [ DELEGATE ] });
+  await keyring.addAccounts(1);
+  const sign = (authorization) => getViolations(keyring.signAuthorization(ADDRESSES[0], authorization));
+  assert.strictEqual(await sign({ chainId: 1, address: TOKEN, nonce: 0 }), null);
+  assert.deepStrictEqual(await sign({ chainId: 10, address: TOKEN, nonce: 0 }), [ 'allowedChainIds' ]);
+  // Chain ID 0 authorizations are valid on every chain
+  assert.deepStrictEqual(await sign({ chainId: 0, address: TOKEN, nonce: 0 }), [ 'allowedChainIds' ]);
+  assert.deepStrictEqual(await sign({ chainId: 1, address: DELEGATE.toUpperCase().replace('0X', '0x'), nonce: 0 }), [
+    'deniedContracts',
+  ]);
+
+  const allowlisted = createPolicyKeyring({ allowedContracts: [ TOKEN ] }).keyring;
+  await allowlisted.addAccounts(1);
+  const err = await getError(allowlisted.signAuthorization(ADDRESSES[0], { chainId: 1, address: DELEGATE, nonce: 0 }));
+  assert.match(err.message, /Contract 0x2{40} is not allowed/);
+});
+
+test('rejects requests the rules can not check unless opted in', async () => {
+  const { keyring, device } = createPolicyKeyring({ allowedChainIds: [ 1 ] });
+  await keyring.addAccounts(1);
+  assert.deepStrictEqual(await getViolations(keyring.signRaw({ address: ADDRESSES[0], payload: 'hi' })), [
+    'allowOpaqueRequests',
+  ]);
+  assert.strictEqual(device.signed, 0);
+
+  const { keyring: optedIn } = createPolicyKeyring({ allowedChainIds: [ 1 ], allowOpaqueRequests: true });
+  await optedIn.addAccounts(1);
+  assert.strictEqual(await getViolations(optedIn.signRaw({ address: ADDRESSES[0], payload: 'hi' })), null);
+
+  // Without rules, nothing is checked
+  const { keyring: unchecked } = createPolicyKeyring();
+  await unchecked.addAccounts(1);
+  assert.ok(await unchecked.signRaw({ address: ADDRESSES[0], payload: 'hi' }));
+});
+
+test('reports evaluations and only reports violations in dry-run mode', async () => {
+  const { keyring, device } = createPolicyKeyring({ allowedChainIds: [ 10 ], dryRun: true });
+  await keyring.addAccounts(1);
+  const evaluations = [];
+  keyring.on('policyEvaluated', (evaluation) => evaluations.push(evaluation));
+  const signed = await keyring.signTransaction(ADDRESSES[0], createTx());
+  assert.strictEqual(signed.getSenderAddress().toString(), ADDRESSES[0]);
+  assert.ok(await keyring.signRaw({ address: ADDRESSES[0], payload: 'hi' }));
+  assert.strictEqual(device.signed, 2);
+  assert.deepStrictEqual(evaluations.map(({ request }) => request.type), [ 'transaction', 'raw' ]);
+  assert.deepStrictEqual(evaluations[0].report, {
+    allowed: false,
+    dryRun: true,
+    results: [ { rule: 'allowedChainIds', passed: false, message: 'Chain ID 1 is not allowed.' } ],
+  });
+  assert.deepStrictEqual(evaluations[1].report.results.map((result) => result.rule), [
+    'allowOpaqueRequests', 'allowedChainIds',
+  ]);
+});
+
+test('runs custom rules and treats failures as violations', async () => {
+  const { keyring } = createPolicyKeyring({
+    rules: [ { name: 'noGreetings', check: (request) => request.payload === 'hi' ? 'No greetings.' : null } ],
+  });
+  await keyring.addAccounts(1);
+  assert.match(await keyring.signPersonalMessage(ADDRESSES[0], 'bye'), /^0x[0-9a-f]{130}$/);
+  const err = await getError(keyring.signPersonalMessage(ADDRESSES[0], 'hi'));
+  assert.strictEqual(err.code, 'POLICY_VIOLATION');
+  assert.match(err.message, /noGreetings: No greetings\./);
+  keyring.policy.addRule({ name: 'broken', check: () => { throw new Error('oops'); } });
+  const broken = await getError(keyring.signPersonalMessage(ADDRESSES[0], 'bye'));
+  assert.match(broken.message, /broken: Policy check failed: oops/);
+  // A batch is checked in full before anything is signed
+  keyring.policy.removeRule('broken');
+  const batch = await getError(keyring.signMessages(ADDRESSES[0], [ 'bye', 'hi' ]));
+  assert.strictEqual(batch.code, 'POLICY_VIOLATION');
+  assert.throws(() => keyring.policy.addRule({ name: 'invalid' }), { code: 'INVALID_ARGUMENT' });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, ADDRESSES, createKeyring, createPromptingKeyring, getError } = require('./helpers');
+
+test('sends one request to the Lattice at a time, in order', async () => {
+  const { keyring, prompts } = createPromptingKeyring();
+  await keyring.addAccounts(1);
+  const first = keyring.signPersonalMessage(ADDRESSES[0], 'first');
+  const second = keyring.signPersonalMessage(ADDRESSES[0], 'second');
+  await prompts.waitFor(1);
+  const pendingOp = keyring.getPendingOperation();
+  assert.strictEqual(pendingOp.name, 'signMessage');
+  assert.deepStrictEqual(pendingOp.queued.map((op) => op.name), [ 'signMessage' ]);
+  prompts.next();
+  await first;
+  await prompts.waitFor(2);
+  prompts.next();
+  await second;
+  assert.deepStrictEqual(prompts.shown, [ 'first', 'second' ]);
+  assert.strictEqual(prompts.maxInFlight, 1);
+  assert.strictEqual(keyring.getPendingOperation(), null);
+});
+
+test('a failed request does not block the ones queued after it', async () => {
+  const { keyring, prompts } = createPromptingKeyring();
+  await keyring.addAccounts(1);
+  const first = keyring.signPersonalMessage(ADDRESSES[0], 'first');
+  const second = keyring.signPersonalMessage(ADDRESSES[0], 'second');
+  await prompts.waitFor(1);
+  prompts.next(false);
+  assert.strictEqual((await getError(first)).code, 'USER_REJECTED');
+  await prompts.waitFor(2);
+  prompts.next();
+  assert.match(await second, /^0x[0-9a-f]{130}$/);
+});
+
+test('concurrent unlocks share one connection', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice();
+  let connects = 0;
+  const { keyring } = createKeyring({
+    lattice,
+    clientFactory: (setupData) => {
+      const client = lattice.createClient(setupData);
+      const connect = client.connect.bind(client);
+      client.connect = (deviceID) => {
+        connects += 1;
+        return connect(deviceID);
+      };
+      return client;
+    },
+  });
+  await Promise.all([ keyring.unlock(), keyring.unlock(), keyring.addAccounts(1) ]);
+  assert.strictEqual(connects, 1);
+  assert.strictEqual(keyring.isUnlocked(), true);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+const { recoverAddress, verifyEd25519 } = require('../lib/signatures');
+const { HARDENED_OFFSET } = require('../lib/hdpath');
+const SOLANA_PATH = "m/44'/501'/0'/0'";
+
+function recover (digest, { sig }) {
+  return recoverAddress(digest, sig.r, sig.s, sig.v);
+}
+
+test('signs payloads for keyring accounts', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const keccak = await keyring.signRaw({ address: ADDRESSES[0], payload: 'hello' });
+  assert.deepStrictEqual([ keccak.curve, keccak.hash, keccak.encoding ], [ 'secp256k1', 'keccak256', 'none' ]);
+  assert.strictEqual(recover(Buffer.from(keccak256(Buffer.from('hello'))), keccak), ADDRESSES[0]);
+  assert.strictEqual(keccak.signature, keccak.sig.r + keccak.sig.s.slice(2));
+
+  const sha = await keyring.signRaw({ address: ADDRESSES[0], payload: '0x68656c6c6f', hash: 'sha256' });
+  assert.strictEqual(recover(crypto.createHash('sha256').update('hello').digest(), sha), ADDRESSES[0]);
+
+  const digest = crypto.randomBytes(32);
+  const unhashed = await keyring.signRaw({ address: ADDRESSES[0], payload: digest, hash: 'none' });
+  assert.strictEqual(recover(digest, unhashed), ADDRESSES[0]);
+});
+
+test('signs payloads for derivation paths', async () => {
+  const { keyring } = createKeyring();
+  const res = await keyring.signRaw({ signerPath: "m/44'/60'/0'/0/1", payload: 'hello' });
+  assert.deepStrictEqual(res.signerPath, [ HARDENED_OFFSET + 44, HARDENED_OFFSET + 60, HARDENED_OFFSET, 0, 1 ]);
+  assert.strictEqual(recover(Buffer.from(keccak256(Buffer.from('hello'))), res), ADDRESSES[1]);
+});
+
+test('signs on ed25519', async () => {
+  const { keyring } = createKeyring();
+  const payload = Buffer.from('solana message');
+  const res = await keyring.signRaw({ signerPath: SOLANA_PATH, payload, curve: 'ed25519' });
+  assert.deepStrictEqual([ res.curve, res.hash ], [ 'ed25519', 'none' ]);
+  assert.strictEqual(res.pubkey.length, 66);
+  const sig = { r: Buffer.from(res.sig.r.slice(2), 'hex'), s: Buffer.from(res.sig.s.slice(2), 'hex') };
+  assert.ok(verifyEd25519(payload, sig, Buffer.from(res.pubkey.slice(2), 'hex')));
+  assert.ok(!verifyEd25519(Buffer.from('other message'), sig, Buffer.from(res.pubkey.slice(2), 'hex')));
+});
+
+test('signs EVM encoded transactions', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const tx = createTx();
+  const res = await keyring.signRaw({ address: ADDRESSES[0], payload: Buffer.from(tx.getMessageToSign()), encoding: 'evm' });
+  assert.strictEqual(recover(Buffer.from(tx.getHashedMessageToSign()), res), ADDRESSES[0]);
+});
+
+test('rejects invalid raw signing requests', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const requests = [
+    { payload: 'hi' },
+    { address: ADDRESSES[0], signerPath: SOLANA_PATH, payload: 'hi' },
+    { address: ADDRESSES[0], payload: 'hi', curve: 'p256' },
+    { address: ADDRESSES[0], payload: 'hi', hash: 'md5' },
+    { address: ADDRESSES[0], payload: 'hi', encoding: 'cosmos' },
+    { address: ADDRESSES[0], payload: 'not 32 bytes', hash: 'none' },
+    { address: ADDRESSES[0], payload: 'hi', curve: 'ed25519' },
+    { signerPath: SOLANA_PATH, payload: 'hi', curve: 'ed25519', hash: 'sha256' },
+    { signerPath: "m/44'/501'/0'/0", payload: 'hi', curve: 'ed25519' },
+  ];
+  for (const request of requests) {
+    const err = await getError(keyring.signRaw(request));
+    assert.strictEqual(err.code, 'INVALID_ARGUMENT', JSON.stringify(request));
+  }
+  assert.strictEqual((await getError(keyring.signRaw({ address: ADDRESSES[1], payload: 'hi' }))).code, 'SIGNER_NOT_FOUND');
+});
+
+test('requires generic signing firmware', async () => {
+  const { keyring } = createKeyring({}, { fwVersion: { minor: 14 } });
+  await keyring.addAccounts(1);
+  assert.ok(await keyring.signRaw({ address: ADDRESSES[0], payload: 'hi' }));
+  const err = await getError(keyring.signRaw({ address: ADDRESSES[0], payload: 'hi', encoding: 'evm' }));
+  assert.strictEqual(err.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, CREDS, createKeyring, createTx, createFaultyKeyring, busyError, getError } = require('./helpers');
+const { toRetryPolicy, getRetryDelay } = require('../lib/retry');
+const { toKeyringError } = require('../lib/errors');
+const RETRY = { retries: 2, minDelay: 0 };
+
+// A faulty keyring which retries, recording each retry in `retries`
+function createRetryingKeyring (opts={}) {
+  const faulty = createFaultyKeyring(Object.assign({ retry: RETRY }, opts));
+  const retries = [];
+  faulty.keyring.on('retry', ({ kind, attempt, error }) => retries.push([ kind, attempt, error.code ]));
+  return Object.assign(faulty, { retries });
+}
+
+test('builds retry policies with exponential backoff', () => {
+  const policy = toRetryPolicy({ retries: 3, minDelay: 100, maxDelay: 500 });
+  assert.deepStrictEqual([ 0, 1, 2, 3 ].map((attempt) => getRetryDelay(policy, attempt)), [ 100, 200, 400, 500 ]);
+  assert.strictEqual(toRetryPolicy(false).retries, 0);
+  assert.throws(() => toRetryPolicy({ retries: -1 }), { code: 'INVALID_ARGUMENT' });
+  assert.throws(() => createKeyring({ timeouts: { sign: 0 } }), { code: 'INVALID_ARGUMENT' });
+  assert.throws(() => createKeyring({ timeouts: { pair: 1000 } }), /Unknown timeout "pair"/);
+});
+
+test('retries connections and fetches which fail with transient errors', async () => {
+  const { keyring, faults, calls, retries } = createRetryingKeyring({ timeouts: { connect: 1000, fetch: 2000 } });
+  faults.error = busyError();
+  faults.connect = 1;
+  faults.getAddresses = 2;
+  assert.deepStrictEqual(await keyring.addAccounts(1), [ ADDRESSES[0] ]);
+  assert.deepStrictEqual(retries, [
+    [ 'connect', 1, 'DEVICE_BUSY' ],
+    [ 'fetch', 1, 'DEVICE_BUSY' ],
+    [ 'fetch', 2, 'DEVICE_BUSY' ],
+  ]);
+  // Each kind of request runs with its own timeout
+  assert.deepStrictEqual(calls.connect, [ 1000, 1000 ]);
+  assert.deepStrictEqual(calls.getAddresses, [ 2000, 2000, 2000 ]);
+
+  // Relay server errors are transient, client errors are not
+  faults.error = new Error('Error code 503: Service Unavailable');
+  faults.connect = 1;
+  await keyring._connect();
+  faults.error = new Error('Error code 404: Not Found');
+  faults.connect = 1;
+  assert.strictEqual(toKeyringError(await getError(keyring._connect())).code, 'RELAY_ERROR');
+  assert.deepStrictEqual(retries.slice(3), [ [ 'connect', 1, 'RELAY_ERROR' ] ]);
+});
+
+test('gives up after the configured number of retries without discarding credentials', async () => {
+  const { keyring, faults, calls } = createRetryingKeyring();
+  await keyring.unlock();
+  faults.error = new Error('Failed to make request to device');
+  faults.connect = 3;
+  const err = toKeyringError(await getError(keyring._connect()));
+  assert.strictEqual(err.code, 'RELAY_UNREACHABLE');
+  assert.strictEqual(calls.connect.length, 4);
+  assert.strictEqual(keyring.creds.deviceID, CREDS.deviceID);
+  assert.ok(keyring.isUnlocked());
+});
+
+test('never retries signing requests', async () => {
+  const { keyring, faults, calls, retries } = createRetryingKeyring({ timeouts: { sign: 3000 } });
+  await keyring.addAccounts(1);
+  // A timeout may leave the request on the Lattice's screen
+  faults.error = new Error('Timeout waiting for device');
+  faults.sign = 1;
+  assert.strictEqual((await getError(keyring.signTransaction(ADDRESSES[0], createTx()))).code, 'DEVICE_TIMEOUT');
+  faults.error = busyError();
+  faults.sign = 1;
+  assert.strictEqual((await getError(keyring.signPersonalMessage(ADDRESSES[0], 'hi'))).code, 'DEVICE_BUSY');
+  faults.sign = 1;
+  assert.strictEqual((await getError(keyring.signRaw({ address: ADDRESSES[0], payload: 'hi' }))).code, 'DEVICE_BUSY');
+  faults.sign = 1;
+  const authorization = { chainId: 1, address: ADDRESSES[1], nonce: 0 };
+  assert.strictEqual((await getError(keyring.signAuthorization(ADDRESSES[0], authorization))).code, 'DEVICE_BUSY');
+  assert.deepStrictEqual(calls.sign, [ 3000, 3000, 3000, 3000 ]);
+  assert.deepStrictEqual(retries, []);
+  // The next request is signed as normal
+  assert.match(await keyring.signPersonalMessage(ADDRESSES[0], 'hi'), /^0x[0-9a-f]{130}$/);
+});
+
+test('surfaces non-transient failures immediately', async () => {
+  const { keyring, faults, calls, retries } = createRetryingKeyring();
+  await keyring.unlock();
+  faults.error = Object.assign(new Error('Request declined'), { responseCode: 132 });
+  faults.getAddresses = 1;
+  assert.strictEqual((await getError(keyring.getFirstPage())).code, 'USER_REJECTED');
+  // The user not responding on the Lattice is not a transient timeout
+  faults.error = Object.assign(new Error('Timed out'), { responseCode: 131 });
+  faults.getAddresses = 1;
+  assert.strictEqual((await getError(keyring.getFirstPage())).code, 'DEVICE_TIMEOUT');
+  assert.strictEqual(calls.getAddresses.length, 2);
+  assert.deepStrictEqual(retries, []);
+});
+
+test('stops retrying when the request is cancelled', async () => {
+  const { keyring, faults, calls } = createRetryingKeyring({ retry: { retries: 5, minDelay: 60000 } });
+  await keyring.unlock();
+  faults.error = busyError();
+  faults.getAddresses = 5;
+  const controller = new AbortController();
+  keyring.once('retry', () => controller.abort());
+  const err = await getError(keyring.getFirstPage({ signal: controller.signal }));
+  assert.strictEqual(err.code, 'REQUEST_CANCELLED');
+  assert.strictEqual(calls.getAddresses.length, 1);
+});
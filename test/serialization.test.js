@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, CREDS, createKeyring, getError } = require('./helpers');
+const UID = 'aa'.repeat(32);
+const OTHER_UID = 'bb'.repeat(32);
+const BIP44 = "m/44'/60'/0'/0/x";
+const LEDGER_LIVE = "m/44'/60'/x'/0/0";
+
+test('migrates unversioned state', async () => {
+  const { keyring } = createKeyring({ creds: undefined, appName: undefined });
+  const report = await keyring.deserialize({
+    name: 'legacy app',
+    creds: CREDS,
+    walletUID: { type: 'Buffer', data: Array(32).fill(0xaa) },
+    hdPath: LEDGER_LIVE,
+    accounts: [ ADDRESSES[0], ADDRESSES[1], ADDRESSES[2] ],
+    accountIndices: [ 0, 1, 2 ],
+    accountOpts: [
+      { walletUID: OTHER_UID, hdPath: BIP44 },
+      { walletUID: UID, hdPath: BIP44 },
+      // Buffer UIDs are normalized and missing paths are the top-level path
+      { walletUID: { type: 'Buffer', data: Array(32).fill(0xaa) } },
+    ],
+  });
+  assert.deepStrictEqual(report.migrated, [ 1, 2 ]);
+  assert.strictEqual(report.repaired, false);
+  const state = await keyring.serialize();
+  assert.strictEqual(state.version, 2);
+  assert.strictEqual(state.appName, 'legacy app');
+  assert.deepStrictEqual(state.accounts, [
+    { address: ADDRESSES[0], walletUID: OTHER_UID, hdPath: BIP44, index: 0 },
+    { address: ADDRESSES[1], walletUID: UID, hdPath: BIP44, index: 1 },
+    { address: ADDRESSES[2], walletUID: UID, hdPath: LEDGER_LIVE, index: 2 },
+  ]);
+});
+
+test('reports account options without a wallet UID', async () => {
+  const legacy = {
+    walletUID: OTHER_UID,
+    accounts: [ ADDRESSES[0], ADDRESSES[1], ADDRESSES[2] ],
+    accountIndices: [ 0, 1, 2 ],
+    accountOpts: [ { walletUID: UID, hdPath: BIP44 }, null, { hdPath: BIP44 } ],
+  };
+  const err = await getError(createKeyring().keyring.deserialize(legacy));
+  assert.strictEqual(err.code, 'INVALID_SERIALIZED_STATE');
+  assert.deepStrictEqual(err.report.issues.map(({ index, problem }) => [ index, problem ]), [
+    [ 1, 'Missing `walletUID`.' ],
+    [ 2, 'Missing `walletUID`.' ],
+  ]);
+  assert.strictEqual(err.report.valid, false);
+
+  // They are not assigned to the top-level wallet when repairing either
+  const { keyring } = createKeyring({ repairState: true });
+  const report = await keyring.deserialize(legacy);
+  assert.deepStrictEqual([ report.valid, report.repaired, report.migrated ], [ true, true, [ 1, 2 ] ]);
+  assert.deepStrictEqual((await keyring.serialize()).accounts, [
+    { address: ADDRESSES[0], walletUID: UID, hdPath: BIP44, index: 0 },
+  ]);
+});
+
+test('migrates state without per-account options', async () => {
+  const { keyring } = createKeyring();
+  await keyring.deserialize({ walletUID: UID, accounts: [ ADDRESSES[0] ], accountIndices: [ 0 ] });
+  assert.deepStrictEqual((await keyring.serialize()).accounts, [
+    { address: ADDRESSES[0], walletUID: UID, hdPath: BIP44, index: 0 },
+  ]);
+});
+
+test('round-trips serialized state', async () => {
+  const { keyring, lattice } = createKeyring();
+  await keyring.addAccounts(2);
+  keyring.setAccountLabel(ADDRESSES[1], 'Savings');
+  const state = await keyring.serialize();
+  const restored = createKeyring({ lattice }).keyring;
+  const report = await restored.deserialize(state);
+  assert.deepStrictEqual(report, { valid: true, repaired: false, issues: [], migrated: [] });
+  assert.deepStrictEqual(await restored.serialize(), state);
+});
+
+test('rejects inconsistent state by default', async () => {
+  const { keyring } = createKeyring();
+  await keyring.deserialize({ version: 2, walletUID: UID, accounts: [] });
+  const err = await getError(keyring.deserialize({
+    version: 2,
+    walletUID: OTHER_UID,
+    accounts: [
+      { address: ADDRESSES[0], walletUID: UID, hdPath: BIP44, index: 0 },
+      { address: ADDRESSES[0], walletUID: UID, hdPath: BIP44, index: 0 },
+      { address: 'not an address', walletUID: UID, hdPath: BIP44, index: 1 },
+    ],
+  }));
+  assert.strictEqual(err.code, 'INVALID_SERIALIZED_STATE');
+  assert.deepStrictEqual(err.report.issues.map(({ index, problem }) => [ index, problem ]), [
+    [ 1, 'Duplicate of an earlier account.' ],
+    [ 2, 'Missing or invalid address.' ],
+  ]);
+  // Nothing was loaded
+  assert.strictEqual(keyring.walletUID, UID);
+});
+
+test('drops inconsistent accounts when asked to repair', async () => {
+  const { keyring } = createKeyring({ repairState: true });
+  const report = await keyring.deserialize({
+    version: 2,
+    accounts: [
+      { address: ADDRESSES[0], walletUID: UID, hdPath: BIP44, index: 0 },
+      { address: ADDRESSES[0], walletUID: UID, hdPath: BIP44, index: 0 },
+      { address: ADDRESSES[1], hdPath: BIP44, index: 1 },
+    ],
+  });
+  assert.strictEqual(report.repaired, true);
+  assert.deepStrictEqual(report.issues.map(({ index }) => index), [ 1, 2 ]);
+  assert.strictEqual(keyring.deserializeReport, report);
+  assert.deepStrictEqual(await keyring.getAccounts(), [ ADDRESSES[0] ]);
+});
+
+test('rejects state from a newer version even when repairing', async () => {
+  const { keyring } = createKeyring({ repairState: true });
+  const err = await getError(keyring.deserialize({ version: 3, accounts: [] }));
+  assert.strictEqual(err.code, 'INVALID_SERIALIZED_STATE');
+  assert.strictEqual(err.report.issues[0].field, 'version');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, MNEMONIC, ADDRESSES, createKeyring, createCountingKeyring } = require('./helpers');
+
+async function getSerializedState (lattice) {
+  const { keyring } = createKeyring({ lattice });
+  await keyring.addAccounts(1);
+  return keyring.serialize();
+}
+
+test('serializes the SDK session state', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const state = await getSerializedState(lattice);
+  assert.strictEqual(typeof state.sdkState, 'string');
+  assert.ok(state.sdkStateTimestamp > 0);
+});
+
+test('signs with rehydrated state without reconnecting', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const state = await getSerializedState(lattice);
+  const { keyring, counts } = createCountingKeyring(lattice, state);
+  await keyring.signPersonalMessage(ADDRESSES[0], 'hi');
+  assert.strictEqual(counts.connect, 0);
+});
+
+test('reconnects if the persisted state is too old', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const state = await getSerializedState(lattice);
+  state.sdkStateTimestamp -= 10000;
+  const { keyring, counts } = createCountingKeyring(lattice, Object.assign({ sdkStateMaxAge: 5000 }, state));
+  await keyring.signPersonalMessage(ADDRESSES[0], 'hi');
+  assert.strictEqual(counts.connect, 1);
+});
+
+test('reconnects if the persisted wallet is not the last synced one', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const state = await getSerializedState(lattice);
+  state.walletUID = 'ff'.repeat(32);
+  const { keyring, counts } = createCountingKeyring(lattice, state);
+  await keyring.unlock();
+  assert.strictEqual(counts.connect, 1);
+  assert.strictEqual(keyring.walletUID, lattice.getActiveWalletUID());
+});
+
+test('reconnects if the persisted state is invalid', async () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  const state = await getSerializedState(lattice);
+  state.sdkState = '{ not json';
+  const { keyring, counts } = createCountingKeyring(lattice, state);
+  await keyring.signPersonalMessage(ADDRESSES[0], 'hi');
+  assert.strictEqual(counts.connect, 1);
+});
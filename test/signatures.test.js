@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring, ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+const TYPED_DATA = {
+  types: {
+    EIP712Domain: [ { name: 'name', type: 'string' }, { name: 'chainId', type: 'uint256' } ],
+    Mail: [ { name: 'contents', type: 'string' } ],
+  },
+  primaryType: 'Mail',
+  domain: { name: 'Test', chainId: 1 },
+  message: { contents: 'hello' },
+};
+
+// Create a keyring whose Lattice signs with the key at the next index, as a
+// faulty device (or one with a different active wallet) would, once
+// `faults.nextKey` is set
+function createFaultyKeyring () {
+  const lattice = new LatticeKeyring.SimulatedLattice();
+  const faults = { nextKey: false };
+  const { keyring } = createKeyring({
+    lattice,
+    clientFactory: (setupData) => {
+      const client = lattice.createClient(setupData);
+      const sign = client.sign.bind(client);
+      client.sign = (req) => {
+        if (faults.nextKey) {
+          const signerPath = req.data.signerPath.slice();
+          signerPath[signerPath.length - 1] += 1;
+          req = Object.assign({}, req, { data: Object.assign({}, req.data, { signerPath }) });
+        }
+        return sign(req);
+      };
+      return client;
+    },
+  });
+  return { keyring, faults };
+}
+
+test('signatures recover to the requested signer', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(2);
+  const signed = await keyring.signTransaction(ADDRESSES[1], createTx());
+  assert.strictEqual(signed.getSenderAddress().toString(), ADDRESSES[1]);
+  assert.match(await keyring.signPersonalMessage(ADDRESSES[1], 'hello'), /^0x[0-9a-f]{130}$/);
+  assert.match(await keyring.signTypedData(ADDRESSES[1], TYPED_DATA, { version: 'V4' }), /^0x[0-9a-f]{130}$/);
+});
+
+test('rejects signatures from another signer', async () => {
+  const { keyring, faults } = createFaultyKeyring();
+  await keyring.addAccounts(1);
+  faults.nextKey = true;
+  const requests = [
+    keyring.signTransaction(ADDRESSES[0], createTx()),
+    keyring.signPersonalMessage(ADDRESSES[0], 'hello'),
+    keyring.signTypedData(ADDRESSES[0], TYPED_DATA, { version: 'V4' }),
+  ];
+  for (const request of requests) {
+    const err = await getError(request);
+    assert.ok(err instanceof LatticeKeyring.errors.SignatureMismatchError);
+    assert.strictEqual(err.code, 'SIGNATURE_MISMATCH');
+    assert.strictEqual(err.expected, ADDRESSES[0]);
+    assert.strictEqual(err.recovered, ADDRESSES[1]);
+  }
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  LatticeKeyring,
+  MNEMONIC,
+  ADDRESSES,
+  createKeyring,
+  createTx,
+  getError,
+} = require('./helpers');
+
+test('loads the simulator only when it is used', () => {
+  const loaded = Object.keys(require.cache).filter((path) => /lib[\\/]simulator\.js$/.test(path));
+  loaded.forEach((path) => delete require.cache[path]);
+  delete require.cache[require.resolve('..')];
+  require('..');
+  assert.ok(!Object.keys(require.cache).some((path) => /lib[\\/]simulator\.js$/.test(path)));
+  assert.strictEqual(typeof require('..').SimulatedLattice, 'function');
+});
+
+test('derives addresses from the seed', async () => {
+  const { keyring } = createKeyring();
+  const added = await keyring.addAccounts(3);
+  assert.deepStrictEqual(added.map((a) => a.toLowerCase()), ADDRESSES);
+});
+
+test('signs transactions and messages', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const signed = await keyring.signTransaction(ADDRESSES[0], createTx());
+  assert.strictEqual(signed.getSenderAddress().toString(), ADDRESSES[0]);
+  const sig = await keyring.signPersonalMessage(ADDRESSES[0], '0x68656c6c6f');
+  assert.match(sig, /^0x[0-9a-f]{130}$/);
+});
+
+test('reports the configured firmware version', async () => {
+  const { keyring, lattice } = createKeyring({}, { fwVersion: { minor: 15 } });
+  await keyring.unlock();
+  assert.deepStrictEqual(keyring.sdkSession.getFwVersion(), { major: 0, minor: 15, fix: 0 });
+  lattice.setFwVersion({ minor: 11 });
+  await keyring._connect();
+  assert.strictEqual(keyring.getCapabilities().features.eip1559.supported, false);
+});
+
+test('switches between the internal wallet and a SafeCard', async () => {
+  const { keyring, lattice } = createKeyring();
+  await keyring.unlock();
+  const internalUID = lattice.getActiveWalletUID();
+  assert.strictEqual(keyring.walletUID, internalUID);
+  const cardUID = lattice.insertSafeCard('legal winner thank year wave sausage worth useful legal winner thank yellow');
+  await keyring._connect();
+  assert.strictEqual(keyring.walletUID, cardUID);
+  const [ cardAddress ] = await keyring.addAccounts(1);
+  assert.notStrictEqual(cardAddress.toLowerCase(), ADDRESSES[0]);
+  lattice.removeSafeCard();
+  await keyring._connect();
+  assert.strictEqual(keyring.walletUID, internalUID);
+});
+
+test('rejects requests when the user declines', async () => {
+  const { keyring } = createKeyring({}, { approve: async () => false });
+  await keyring.addAccounts(1);
+  const err = await getError(keyring.signPersonalMessage(ADDRESSES[0], 'hi'));
+  assert.strictEqual(err.code, 'USER_REJECTED');
+});
+
+test('rejects invalid state data', () => {
+  const lattice = new LatticeKeyring.SimulatedLattice({ mnemonic: MNEMONIC });
+  assert.throws(() => lattice.createClient({ stateData: 'not json' }), /Could not apply state data/);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rlp = require('rlp');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { ecrecover, publicToAddress, eoaCode7702RecoverAuthority } = require('@ethereumjs/util');
+const { ADDRESSES, createKeyring, createTx, getError } = require('./helpers');
+const DELEGATE = '0x' + '11'.repeat(20);
+
+const BLOB_HASH = '0x01' + '22'.repeat(31);
+// Set-code transactions need at least one authorization; its signature is
+// not checked when building the transaction
+const UNSIGNED_AUTHORIZATION = { chainId: '0x1', address: DELEGATE, nonce: '0x0', yParity: '0x0', r: '0x01', s: '0x01' };
+
+test('signs legacy, access list and fee market transactions', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const txs = [
+    createTx({ type: 0, gasPrice: 1000000000, maxFeePerGas: undefined, maxPriorityFeePerGas: undefined }),
+    createTx({ type: 1, gasPrice: 1000000000, maxFeePerGas: undefined, maxPriorityFeePerGas: undefined }),
+    createTx({ type: 2 }, 137),
+  ];
+  for (const tx of txs) {
+    const signed = await keyring.signTransaction(ADDRESSES[0], tx);
+    assert.strictEqual(signed.type, tx.type);
+    assert.strictEqual(signed.getSenderAddress().toString(), ADDRESSES[0]);
+  }
+});
+
+test('signs blob and set-code transactions', async () => {
+  const { keyring } = createKeyring({}, { fwVersion: { minor: 18 } });
+  await keyring.addAccounts(1);
+  const authorization = await keyring.signAuthorization(ADDRESSES[0], { chainId: 1, address: DELEGATE, nonce: 1 });
+  assert.strictEqual(eoaCode7702RecoverAuthority(authorization).toString(), ADDRESSES[0]);
+  const txs = [
+    createTx({ type: 3, maxFeePerBlobGas: 1, blobVersionedHashes: [ BLOB_HASH ] }),
+    createTx({ type: 4, to: ADDRESSES[0], authorizationList: [ authorization ] }),
+  ];
+  for (const tx of txs) {
+    const signed = await keyring.signTransaction(ADDRESSES[0], tx);
+    assert.strictEqual(signed.type, tx.type);
+    assert.ok(signed.verifySignature());
+    assert.strictEqual(signed.getSenderAddress().toString(), ADDRESSES[0]);
+    assert.deepStrictEqual(signed.getHashedMessageToSign(), tx.getHashedMessageToSign());
+  }
+});
+
+test('requires firmware with blob and set-code transaction support', async () => {
+  const { keyring } = createKeyring({}, { fwVersion: { minor: 17 } });
+  await keyring.addAccounts(1);
+  const blob = await getError(keyring.signTransaction(ADDRESSES[0], createTx({ type: 3, blobVersionedHashes: [ BLOB_HASH ] })));
+  assert.strictEqual(blob.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+  assert.match(blob.message, /requires Lattice firmware v0\.18\.0 or later \(connected: v0\.17\.0\)/);
+  const setCode = await getError(keyring.signTransaction(ADDRESSES[0], createTx({ type: 4, authorizationList: [ UNSIGNED_AUTHORIZATION ] })));
+  assert.strictEqual(setCode.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+});
+
+test('requires firmware with EIP1559 support', async () => {
+  const { keyring } = createKeyring({}, { fwVersion: { minor: 11 } });
+  await keyring.addAccounts(1);
+  const err = await getError(keyring.signTransaction(ADDRESSES[0], createTx()));
+  assert.strictEqual(err.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+});
+
+test('signs EIP7702 authorizations', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const auth = await keyring.signAuthorization(ADDRESSES[0], { chainId: 1, address: DELEGATE, nonce: 7 });
+  assert.deepStrictEqual(
+    { chainId: auth.chainId, address: auth.address, nonce: auth.nonce },
+    { chainId: '0x1', address: DELEGATE, nonce: '0x7' }
+  );
+  const hash = Buffer.from(keccak256(Buffer.concat([
+    Buffer.from([ 0x05 ]),
+    Buffer.from(rlp.encode([ 1n, DELEGATE, 7n ])),
+  ])));
+  const pubkey = ecrecover(
+    hash,
+    27n + BigInt(auth.yParity),
+    Buffer.from(auth.r.slice(2), 'hex'),
+    Buffer.from(auth.s.slice(2), 'hex')
+  );
+  assert.strictEqual(`0x${Buffer.from(publicToAddress(pubkey)).toString('hex')}`, ADDRESSES[0]);
+});
+
+test('validates EIP7702 authorizations', async () => {
+  const { keyring } = createKeyring();
+  await keyring.addAccounts(1);
+  const err = await getError(keyring.signAuthorization(ADDRESSES[0], { chainId: 1, nonce: 0 }));
+  assert.strictEqual(err.code, 'INVALID_ARGUMENT');
+  const old = createKeyring({}, { fwVersion: { minor: 13 } }).keyring;
+  await old.addAccounts(1);
+  const fwErr = await getError(old.signAuthorization(ADDRESSES[0], { chainId: 1, address: DELEGATE, nonce: 0 }));
+  assert.strictEqual(fwErr.code, 'LATTICE_FIRMWARE_UNSUPPORTED');
+});
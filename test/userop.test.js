@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatticeKeyring } = require('./helpers');
+const ENTRY_POINT_V6 = '0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789';
+const ENTRY_POINT_V7 = '0x0000000071727DE22e5E85D9d86A4C9fE6B5a2C0';
+const SENDER = '0x' + '33'.repeat(20);
+const FACTORY = '0x' + '44'.repeat(20);
+const PAYMASTER = '0x' + '55'.repeat(20);
+const USER_OP_V6 = {
+  sender: SENDER,
+  nonce: '0x1',
+  initCode: '0x',
+  callData: '0xb61d27f6',
+  callGasLimit: 100000,
+  verificationGasLimit: 200000,
+  preVerificationGas: 50000,
+  maxFeePerGas: '0x3b9aca00',
+  maxPriorityFeePerGas: '0x1',
+  paymasterAndData: '0x',
+  signature: '0x',
+};
+// The same v0.7 operation in the unpacked (RPC) and packed formats
+const USER_OP_V7 = {
+  sender: SENDER,
+  nonce: 1n,
+  factory: FACTORY,
+  factoryData: '0xabcd',
+  callData: '0xb61d27f6',
+  callGasLimit: 100000,
+  verificationGasLimit: 200000,
+  preVerificationGas: 50000,
+  maxFeePerGas: 1000000000,
+  maxPriorityFeePerGas: 1,
+  paymaster: PAYMASTER,
+  paymasterVerificationGasLimit: 30000,
+  paymasterPostOpGasLimit: 40000,
+  paymasterData: '0x01',
+};
+const PACKED_USER_OP_V7 = {
+  sender: SENDER,
+  nonce: 1n,
+  initCode: FACTORY + 'abcd',
+  callData: '0xb61d27f6',
+  accountGasLimits: '0x' + (200000).toString(16).padStart(32, '0') + (100000).toString(16).padStart(32, '0'),
+  preVerificationGas: 50000,
+  gasFees: '0x' + (1).toString(16).padStart(32, '0') + (1000000000).toString(16).padStart(32, '0'),
+  paymasterAndData: PAYMASTER + (30000).toString(16).padStart(32, '0') + (40000).toString(16).padStart(32, '0') + '01',
+};
+
+test('computes the userOpHash', () => {
+  const opts = { entryPoint: ENTRY_POINT_V6, chainId: 1 };
+  const hash = LatticeKeyring.getUserOperationHash(USER_OP_V6, opts);
+  assert.strictEqual(hash.length, 32);
+  // The hash commits to the chain, the EntryPoint and every field
+  assert.notDeepStrictEqual(LatticeKeyring.getUserOperationHash(USER_OP_V6, { entryPoint: ENTRY_POINT_V6, chainId: 10 }), hash);
+  assert.notDeepStrictEqual(LatticeKeyring.getUserOperationHash(Object.assign({}, USER_OP_V6, { nonce: 2 }), opts), hash);
+  // The signature field is not part of it
+  assert.deepStrictEqual(LatticeKeyring.getUserOperationHash(Object.assign({}, USER_OP_V6, { signature: '0x1234' }), opts), hash);
+});
+
+// Reference hashes from viem's `getUserOperationHash`, an independent
+// implementation of the v0.6 and v0.7 EntryPoints' `getUserOpHash`
+test('matches EntryPoint userOpHash vectors', () => {
+  const vectors = [
+    [ USER_OP_V6, ENTRY_POINT_V6, 1, '0x2ff237e85c1b613a84ef5423e4db7e1de21059fd6fdb64c1570bfc9598e79360' ],
+    [ USER_OP_V6, ENTRY_POINT_V6, 137, '0x22c874a5d1f542eacf755941bdd0158257186652b06b3c38bb1d933d59e55115' ],
+    [ USER_OP_V7, ENTRY_POINT_V7, 137, '0x77b99c63727bab03113107371ef343f4edc249c90b5b8c31a8700fd440be61d9' ],
+    [ PACKED_USER_OP_V7, ENTRY_POINT_V7, 8453, '0xc89a42a173b2549b92949fd549a3cfa27270385fe36d758ac2529bc28fd28d1b' ],
+  ];
+  vectors.forEach(([ userOp, entryPoint, chainId, expected ]) => {
+    // Chain IDs and numeric fields may be numbers, hex or decimal strings
+    [ chainId, `0x${chainId.toString(16)}`, String(chainId) ].forEach((id) => {
+      const hash = LatticeKeyring.getUserOperationHash(userOp, { entryPoint, chainId: id });
+      assert.strictEqual(`0x${hash.toString('hex')}`, expected);
+    });
+  });
+  const decimal = Object.assign({}, USER_OP_V6, { nonce: '1', maxFeePerGas: '1000000000' });
+  assert.strictEqual(
+    LatticeKeyring.getUserOperationHash(decimal, { entryPoint: ENTRY_POINT_V6, chainId: 1 }).toString('hex'),
+    vectors[0][3].slice(2)
+  );
+});
+
+test('hashes packed and unpacked v0.7 operations the same way', () => {
+  const opts = { entryPoint: ENTRY_POINT_V7, chainId: 8453 };
+  assert.deepStrictEqual(
+    LatticeKeyring.getUserOperationHash(USER_OP_V7, opts),
+    LatticeKeyring.getUserOperationHash(PACKED_USER_OP_V7, opts)
+  );
+  const custom = { entryPoint: '0x' + '66'.repeat(20), chainId: 8453 };
+  assert.throws(() => LatticeKeyring.getUserOperationHash(USER_OP_V7, custom), /entryPointVersion/);
+  assert.notDeepStrictEqual(
+    LatticeKeyring.getUserOperationHash(USER_OP_V7, Object.assign({ entryPointVersion: '0.7' }, custom)),
+    LatticeKeyring.getUserOperationHash(USER_OP_V7, opts)
+  );
+});
+
+test('rejects malformed operations', () => {
+  const opts = { entryPoint: ENTRY_POINT_V6, chainId: 1 };
+  const cases = [
+    [ USER_OP_V6, { entryPoint: ENTRY_POINT_V6 } ],
+    [ USER_OP_V6, { entryPoint: 'entrypoint', chainId: 1 } ],
+    [ USER_OP_V6, Object.assign({ entryPointVersion: '0.8' }, opts) ],
+    [ Object.assign({}, USER_OP_V6, { sender: '0x1234' }), opts ],
+    [ Object.assign({}, USER_OP_V6, { callGasLimit: -1 }), opts ],
+    [ Object.assign({}, USER_OP_V6, { callGasLimit: '1e5' }), opts ],
+    [ Object.assign({}, USER_OP_V6, { callData: 'b61d27f6' }), opts ],
+    [ Object.assign({}, PACKED_USER_OP_V7, { gasFees: '0x01' }), { entryPoint: ENTRY_POINT_V7, chainId: 1 } ],
+  ];
+  cases.forEach(([ userOp, caseOpts ]) => {
+    assert.throws(() => LatticeKeyring.getUserOperationHash(userOp, caseOpts), { code: 'INVALID_ARGUMENT' });
+  });
+});
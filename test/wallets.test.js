@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADDRESSES, createKeyring, getError } = require('./helpers');
+const SAFECARD_MNEMONIC = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+
+// Record the keyring's wallet and connection events, by name
+function recordEvents (keyring) {
+  const events = [];
+  [ 'connected', 'disconnected', 'locked', 'walletChanged', 'accountsUnavailable' ].forEach((name) => {
+    keyring.on(name, (data) => events.push({ name, data }));
+  });
+  return events;
+}
+
+test('describes the Lattice wallets', async () => {
+  const { keyring, lattice } = createKeyring();
+  assert.strictEqual(keyring.getActiveWallet(), null);
+  assert.deepStrictEqual(keyring.getWallets(), []);
+  await keyring.unlock();
+  const internalUID = lattice.getActiveWalletUID();
+  assert.deepStrictEqual(keyring.getActiveWallet(), { uid: internalUID, name: null, external: false });
+  const cardUID = lattice.insertSafeCard(SAFECARD_MNEMONIC);
+  await keyring._connect();
+  assert.strictEqual(keyring.getActiveWallet().uid, cardUID);
+  assert.deepStrictEqual(keyring.getWallets().map(({ uid, external }) => [ uid, external ]), [
+    [ internalUID, false ],
+    [ cardUID, true ],
+  ]);
+});
+
+test('emits events as the active wallet changes', async () => {
+  const { keyring, lattice } = createKeyring();
+  const events = recordEvents(keyring);
+  await keyring.addAccounts(1);
+  const internalUID = lattice.getActiveWalletUID();
+  const cardUID = lattice.insertSafeCard(SAFECARD_MNEMONIC);
+  await keyring._connect();
+  assert.deepStrictEqual(events.map((e) => e.name), [ 'connected', 'connected', 'walletChanged', 'accountsUnavailable' ]);
+  assert.deepStrictEqual(events[0].data, { deviceID: lattice.deviceID, isPaired: true });
+  assert.deepStrictEqual(events[2].data, { previousWalletUID: internalUID, walletUID: cardUID });
+  assert.strictEqual(events[3].data.walletUID, cardUID);
+  assert.deepStrictEqual(events[3].data.accounts.map((a) => [ a.address.toLowerCase(), a.walletUID ]), [
+    [ ADDRESSES[0], internalUID ],
+  ]);
+});
+
+test('emits `locked` when the Lattice has no active wallet', async () => {
+  const { keyring, lattice } = createKeyring();
+  await keyring.unlock();
+  const walletUID = keyring.walletUID;
+  const events = recordEvents(keyring);
+  // A locked SafeCard leaves no active wallet
+  lattice._exportWallets = () => ({
+    internal: { uid: Buffer.alloc(32), name: null, capabilities: 0, external: false },
+    external: { uid: Buffer.alloc(32), name: null, capabilities: 0, external: true },
+  });
+  await keyring._connect();
+  assert.deepStrictEqual(events.map((e) => e.name), [ 'connected', 'locked' ]);
+  assert.deepStrictEqual(events[1].data, { previousWalletUID: walletUID });
+  assert.strictEqual(keyring.getActiveWallet(), null);
+});
+
+test('emits `disconnected` when a connection fails or the device is forgotten', async () => {
+  const { keyring, lattice } = createKeyring();
+  await keyring.unlock();
+  const events = recordEvents(keyring);
+  const deviceID = lattice.deviceID;
+  lattice.deviceID = 'OtherLattice';
+  await getError(keyring._connect());
+  assert.deepStrictEqual(events.map((e) => [ e.name, e.data.reason ]), [ [ 'disconnected', 'error' ] ]);
+  assert.ok(events[0].data.error);
+  lattice.deviceID = deviceID;
+  await keyring._connect();
+  keyring.forgetDevice();
+  assert.deepStrictEqual(events.slice(1).map((e) => [ e.name, e.data.reason ]), [
+    [ 'connected', undefined ],
+    [ 'disconnected', 'forgotten' ],
+  ]);
+});